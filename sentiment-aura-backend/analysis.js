@@ -0,0 +1,792 @@
+// analysis.js
+// The analysis itself, free of HTTP: input validation, prompts, parsing
+// and validating model output, normalizing fields and building the
+// response envelope. Tunable values come from the analysis config store
+// below (settings()); everything else is a plain function of its inputs.
+import Ajv from "ajv";
+import { scoreAspects, EMOTIONS, emptyEmotions, affectFromEmotions } from "./lexicon.js";
+import { LANGUAGES, SUPPORTED_LANGUAGES, configureStopwords, normalizeLanguageCode, stopwordsFor, tokenize } from "./languages.js";
+import { AnalysisConfigStore, renderTemplate } from "./analysisConfig.js";
+import { Config } from "./config.js";
+import { ValidationError } from "./errors.js";
+
+// ========== ANALYSIS SETTINGS ==========
+// Thresholds, label scores, limits, stopwords and prompts come from
+// ANALYSIS_CONFIG_FILE (see analysisConfig.js). Read them through
+// `settings()` at use time, never into a constant: the file is reloaded
+// on change and on SIGHUP.
+export const analysisConfig = new AnalysisConfigStore({
+    languages: SUPPORTED_LANGUAGES,
+    pollInterval: Config.ANALYSIS_CONFIG_POLL
+});
+
+export const settings = () => analysisConfig.current;
+
+// Stopword overrides replace the built-in lists in languages.js
+analysisConfig.onChange(config => configureStopwords(config.stopwords));
+
+// ========== CONSTANTS ==========
+// Stopwords live per language in languages.js (overridable in the analysis config)
+
+// Maps free-text tone words onto the emotion taxonomy when a model omits the vector
+const TONE_EMOTIONS = {
+    joyful: "joy", happy: "joy", excited: "joy", cheerful: "joy", delighted: "joy", content: "joy", positive: "joy",
+    calm: "trust", grateful: "trust", confident: "trust", trusting: "trust", relaxed: "trust",
+    anxious: "fear", nervous: "fear", worried: "fear", scared: "fear", afraid: "fear", fearful: "fear",
+    surprised: "surprise", amazed: "surprise", shocked: "surprise",
+    sad: "sadness", disappointed: "sadness", dissatisfied: "sadness", melancholy: "sadness", negative: "sadness",
+    disgusted: "disgust", repulsed: "disgust",
+    angry: "anger", frustrated: "anger", annoyed: "anger", furious: "anger", irritated: "anger", upset: "anger",
+    hopeful: "anticipation", eager: "anticipation", curious: "anticipation"
+};
+
+// ========== VALIDATION ==========
+// Request bodies are checked against openapi.js first; these helpers also
+// guard socket messages, context lines and batch items, and normalize values
+export function validateTextInput(text) {
+    const maxLength = settings().limits.max_text_length;
+
+    if (!text) {
+        throw new ValidationError("Missing 'text' in request body", { field: "text" });
+    }
+
+    if (typeof text !== "string") {
+        throw new ValidationError("'text' must be a string", {
+            field: "text",
+            received: typeof text
+        });
+    }
+
+    if (text.trim().length === 0) {
+        throw new ValidationError("'text' cannot be empty", { field: "text" });
+    }
+
+    if (text.length > maxLength) {
+        throw new ValidationError(`'text' exceeds maximum length of ${maxLength.toLocaleString("en-US")} characters`, {
+            field: "text",
+            length: text.length,
+            max: maxLength
+        });
+    }
+
+    return text.trim();
+}
+
+// null means "detect from the text"
+export function validateLanguageInput(language, field = "language") {
+    if (language === undefined || language === null || language === "" || language === "auto") return null;
+
+    const code = normalizeLanguageCode(language);
+
+    if (!code) {
+        throw new ValidationError(`Unsupported ${field} '${language}'`, {
+            field,
+            allowed: ["auto", ...SUPPORTED_LANGUAGES]
+        });
+    }
+
+    return code;
+}
+
+// ========== CONVERSATION CONTEXT ==========
+// A context describes what was said before the segment being analyzed:
+// { segments: [{ text, sentiment }], summary }. The last CONTEXT_WINDOW
+// segments are included verbatim; anything older is compressed into a running
+// summary built from the stored per-segment summaries.
+export const MAX_CONTEXT_SEGMENTS = 20;
+
+export function hasContext(context) {
+    return !!context && (context.segments.length > 0 || !!context.summary);
+}
+
+export function buildSessionContext(stored, window = Config.CONTEXT_WINDOW) {
+    if (!stored || window <= 0 || stored.segments.length === 0) return null;
+
+    const recent = stored.segments.slice(-window);
+    const older = stored.segments.slice(0, -window);
+
+    // Walk back from the newest older segment until the summary budget is spent
+    const gist = [];
+    let length = 0;
+
+    for (let i = older.length - 1; i >= 0; i--) {
+        const line = older[i].analysis?.data?.short_summary || older[i].text;
+        if (length + line.length > Config.CONTEXT_SUMMARY_CHARS) break;
+        gist.unshift(line);
+        length += line.length + 1;
+    }
+
+    return {
+        segments: recent.map(segment => ({
+            text: segment.text,
+            sentiment: segment.analysis?.data?.sentiment ?? null
+        })),
+        summary: gist.length ? gist.join(" ") : null,
+        summarized: older.length
+    };
+}
+
+// Explicit context sent by a client: prior segments as plain strings, oldest first
+function validateContextInput(context) {
+    if (!Array.isArray(context)) {
+        throw new ValidationError("'context' must be an array of strings or false", {
+            field: "context",
+            received: typeof context
+        });
+    }
+
+    if (context.length > MAX_CONTEXT_SEGMENTS) {
+        throw new ValidationError(`'context' exceeds maximum of ${MAX_CONTEXT_SEGMENTS} segments`, {
+            field: "context",
+            max: MAX_CONTEXT_SEGMENTS
+        });
+    }
+
+    const segments = context.map((text, index) => {
+        try {
+            return { text: validateTextInput(text), sentiment: null };
+        } catch (error) {
+            throw new ValidationError(error.message.replace("'text'", `'context[${index}]'`), {
+                ...error.details,
+                field: `context[${index}]`
+            });
+        }
+    });
+
+    return { segments, summary: null, summarized: 0 };
+}
+
+// Context for a request: an explicit array wins, `false` opts out, and
+// otherwise the session (if any) supplies its recent segments.
+export function resolveRequestContext(context, stored) {
+    if (context === false) return null;
+    if (context !== undefined) return validateContextInput(context);
+    return buildSessionContext(stored);
+}
+
+function describeContext(context) {
+    return {
+        segments: context.segments.length,
+        summarized: context.summarized || 0
+    };
+}
+
+// ========== PROMPT BUILDER ==========
+// The templates live in the analysis config, one set per prompt version;
+// only the emotion fields come from the taxonomy
+const EMOTION_FIELDS = `"emotions": { ${EMOTIONS.map(emotion => `"${emotion}": <0..1>`).join(", ")} },
+  "arousal": <number between 0 and 1>,
+  "dominance": <number between 0 and 1>`;
+
+// A version dropped from the config by a reload falls back to the default
+export function resolvePromptVersion(version) {
+    const { prompts } = settings();
+    return prompts.versions[version] ? version : prompts.default;
+}
+
+function promptTemplates(version) {
+    return settings().prompts.versions[resolvePromptVersion(version)];
+}
+
+// Non-English speakers get their summary back in their own language
+const languageGuideline = (templates, language) => language && language !== "en"
+    ? `${renderTemplate(templates.language_guideline, { language_name: LANGUAGES[language].name })}\n`
+    : "";
+
+function promptValues(templates, language) {
+    const { thresholds } = settings().sentiment;
+    return {
+        emotion_fields: EMOTION_FIELDS,
+        negative_threshold: thresholds.negative,
+        positive_threshold: thresholds.positive,
+        language_guideline: languageGuideline(templates, language)
+    };
+}
+
+const formatContext = (context) => [
+    context.summary && `Earlier in the conversation (summary): ${context.summary}`,
+    ...context.segments.map((segment, i) => `[${i + 1}] """${segment.text}"""`)
+].filter(Boolean).join("\n");
+
+export function buildPrompt(text, { context = null, language = "en", promptVersion = null } = {}) {
+    const templates = promptTemplates(promptVersion);
+
+    return hasContext(context)
+        ? renderTemplate(templates.contextual, { ...promptValues(templates, language), text, context: formatContext(context) })
+        : renderTemplate(templates.standard, { ...promptValues(templates, language), text });
+}
+
+export function buildRepairPrompt(text, rawText, fields, errors, schema, { language = "en", promptVersion = null } = {}) {
+    const templates = promptTemplates(promptVersion);
+
+    return renderTemplate(templates.repair, {
+        text,
+        fields: fields.join(", "),
+        problems: errors.map(error => `- ${error.message}`).join("\n"),
+        schema: JSON.stringify(schema.properties),
+        previous_output: rawText.slice(0, 4000),
+        language_guideline: languageGuideline(templates, language)
+    });
+}
+
+// ========== TEXT EXTRACTION ==========
+export function extractTextFromResponse(geminiRaw) {
+    const candidate = geminiRaw?.candidates?.[0] ||
+        geminiRaw?.output?.[0] ||
+        geminiRaw?.response;
+
+    if (!candidate) {
+        return typeof geminiRaw === "string" ? geminiRaw : JSON.stringify(geminiRaw || "");
+    }
+
+    const text = candidate?.content?.parts?.[0]?.text ||
+        candidate?.content?.parts?.[0] ||
+        candidate?.content ||
+        candidate?.text ||
+        (Array.isArray(candidate?.content) && candidate.content[0]?.text);
+
+    return typeof text === "string" ? text : JSON.stringify(text || candidate);
+}
+
+export function extractTextFromChatCompletion(completionRaw) {
+    const content = completionRaw?.choices?.[0]?.message?.content;
+
+    if (Array.isArray(content)) {
+        return content.map(part => part?.text || "").join("");
+    }
+
+    return typeof content === "string" ? content : JSON.stringify(completionRaw || "");
+}
+
+// ========== JSON PARSING ==========
+export function isPlainObject(value) {
+    return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+// Parse the first complete JSON object in the model output. Code fences and
+// surrounding prose are tolerated; anything else that is not valid JSON
+// (single quotes, truncation) yields null and is left to validation/repair.
+export function parseJsonFromText(rawText) {
+    if (!rawText || typeof rawText !== "string") return null;
+
+    const start = rawText.indexOf("{");
+    if (start === -1) return null;
+
+    const end = scanValueEnd(rawText, start);
+    if (end === -1) return null;
+
+    const candidate = rawText.slice(start, end);
+
+    for (const json of [candidate, candidate.replace(/,(\s*[}\]])/g, "$1")]) {
+        try {
+            const value = JSON.parse(json);
+            return isPlainObject(value) ? value : null;
+        } catch {
+            // Try the next cleanup
+        }
+    }
+
+    return null;
+}
+
+// ========== OUTPUT SCHEMA & VALIDATION ==========
+// JSON Schema for the model's analysis object. It is sent to the provider
+// (Gemini responseSchema / OpenAI response_format) and checked locally with
+// Ajv, since not every model honours it.
+const UNIT_SCHEMA = { type: "number", minimum: 0, maximum: 1 };
+
+function buildAnalysisSchema({ contextual = false } = {}) {
+    const properties = {
+        sentiment: UNIT_SCHEMA,
+        sentiment_label: { type: "string", enum: ["negative", "neutral", "positive"] },
+        confidence: UNIT_SCHEMA,
+        keywords: { type: "array", items: { type: "string", minLength: 1 }, minItems: 1, maxItems: 7 },
+        aspects: {
+            type: "array",
+            maxItems: 10,
+            items: {
+                type: "object",
+                properties: {
+                    term: { type: "string", minLength: 1 },
+                    sentiment: UNIT_SCHEMA,
+                    span: { type: "string" }
+                },
+                required: ["term", "sentiment", "span"]
+            }
+        },
+        tone: { type: "string", minLength: 1 },
+        emotions: {
+            type: "object",
+            properties: Object.fromEntries(EMOTIONS.map(emotion => [emotion, UNIT_SCHEMA])),
+            required: EMOTIONS
+        },
+        arousal: UNIT_SCHEMA,
+        dominance: UNIT_SCHEMA,
+        short_summary: { type: "string", minLength: 1 },
+        ...(contextual && { conversation_sentiment: UNIT_SCHEMA })
+    };
+
+    return { type: "object", properties, required: Object.keys(properties) };
+}
+
+const ANALYSIS_SCHEMA = buildAnalysisSchema();
+const CONTEXTUAL_ANALYSIS_SCHEMA = buildAnalysisSchema({ contextual: true });
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const schemaValidators = new Map([
+    [ANALYSIS_SCHEMA, ajv.compile(ANALYSIS_SCHEMA)],
+    [CONTEXTUAL_ANALYSIS_SCHEMA, ajv.compile(CONTEXTUAL_ANALYSIS_SCHEMA)]
+]);
+
+export function analysisSchemaFor(context) {
+    return hasContext(context) ? CONTEXTUAL_ANALYSIS_SCHEMA : ANALYSIS_SCHEMA;
+}
+
+// The same schema restricted to some top-level fields (used for repair requests)
+export function subsetSchema(schema, fields) {
+    return {
+        type: "object",
+        properties: Object.fromEntries(fields.filter(f => schema.properties[f]).map(f => [f, schema.properties[f]])),
+        required: schema.required.filter(field => fields.includes(field))
+    };
+}
+
+// Gemini's responseSchema is an OpenAPI subset: upper-case types, no minLength,
+// and properties come back alphabetically unless propertyOrdering is given.
+export function toGeminiSchema(schema) {
+    const converted = { type: schema.type.toUpperCase() };
+
+    for (const key of ["enum", "minimum", "maximum", "minItems", "maxItems", "required"]) {
+        if (schema[key] !== undefined) converted[key] = schema[key];
+    }
+
+    if (schema.items) converted.items = toGeminiSchema(schema.items);
+
+    if (schema.properties) {
+        converted.properties = Object.fromEntries(
+            Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+        );
+        converted.propertyOrdering = Object.keys(schema.properties);
+    }
+
+    return converted;
+}
+
+// Ajv errors as { field, message }, where field is the top-level property at fault
+function schemaErrors(schema, value) {
+    const validate = schemaValidators.get(schema) || ajv.compile(schema);
+    if (validate(value)) return [];
+
+    return validate.errors.map(error => {
+        const path = error.instancePath.split("/").filter(Boolean);
+        const field = path[0] ?? error.params.missingProperty;
+        const location = path.length ? path.join(".") : field;
+
+        return {
+            field,
+            message: error.keyword === "required" && !path.length
+                ? `${field} is required`
+                : `${location} ${error.message}`
+        };
+    });
+}
+
+// Check parsed model output against the schema. Invalid fields get one
+// targeted repair round-trip through `repair(fields, errors)`; whatever is
+// still invalid is dropped so the normalizers default it. Both lists end up
+// in metadata.validation, so patched output is never silent.
+export async function validateModelOutput(parsed, { schema, repair = null }) {
+    const candidate = isPlainObject(parsed) ? { ...parsed } : {};
+    const errors = isPlainObject(parsed)
+        ? schemaErrors(schema, candidate)
+        : [{ field: null, message: "output is not a JSON object" }];
+
+    const validation = { valid: errors.length === 0, errors, repaired: [], defaulted: [] };
+    if (validation.valid) return { parsed: candidate, validation };
+
+    let invalid = isPlainObject(parsed)
+        ? [...new Set(errors.map(error => error.field))]
+        : [...schema.required];
+
+    if (repair && Config.SCHEMA_REPAIR) {
+        validation.repair_attempted = true;
+
+        try {
+            const patch = await repair(invalid, errors);
+            invalid.forEach(field => {
+                if (patch[field] !== undefined) candidate[field] = patch[field];
+            });
+
+            const remaining = new Set(schemaErrors(schema, candidate).map(error => error.field));
+            validation.repaired = invalid.filter(field => !remaining.has(field));
+            invalid = invalid.filter(field => remaining.has(field));
+        } catch (error) {
+            validation.repair_error = error.message;
+        }
+    }
+
+    invalid.forEach(field => delete candidate[field]);
+    validation.defaulted = invalid;
+
+    return { parsed: candidate, validation };
+}
+
+// validateModelOutput reports output that was not a JSON object as one error without a field
+export function isParseFailure(validation) {
+    return !!validation?.errors.some(error => error.field === null);
+}
+
+// ========== INCREMENTAL JSON PARSING ==========
+// Returns the index just past the string starting at text[i], or -1 if unterminated.
+function scanStringEnd(text, i) {
+    for (let j = i + 1; j < text.length; j++) {
+        if (text[j] === "\\") {
+            j++;
+            continue;
+        }
+        if (text[j] === '"') return j + 1;
+    }
+    return -1;
+}
+
+// Returns the index just past the JSON value starting at text[i], or -1 if it is not complete yet.
+function scanValueEnd(text, i) {
+    const ch = text[i];
+
+    if (ch === '"') return scanStringEnd(text, i);
+
+    if (ch === "[" || ch === "{") {
+        let depth = 0;
+
+        for (let j = i; j < text.length; j++) {
+            const c = text[j];
+
+            if (c === '"') {
+                const end = scanStringEnd(text, j);
+                if (end === -1) return -1;
+                j = end - 1;
+            } else if (c === "[" || c === "{") {
+                depth++;
+            } else if ((c === "]" || c === "}") && --depth === 0) {
+                return j + 1;
+            }
+        }
+        return -1;
+    }
+
+    // Numbers and literals are only complete once a delimiter follows them
+    const delimiter = /[,}\s]/.exec(text.slice(i));
+    return delimiter ? i + delimiter.index : -1;
+}
+
+// Scan a possibly-truncated JSON object and return the top-level
+// [key, value] pairs whose values are already complete.
+function scanCompletedFields(text) {
+    const fields = [];
+    const start = text.indexOf("{");
+    if (start === -1) return fields;
+
+    const skip = (i, pattern) => {
+        while (i < text.length && pattern.test(text[i])) i++;
+        return i;
+    };
+
+    let i = start + 1;
+
+    while (i < text.length) {
+        i = skip(i, /[\s,]/);
+        if (text[i] !== '"') break;
+
+        const keyEnd = scanStringEnd(text, i);
+        if (keyEnd === -1) break;
+
+        let key;
+        try {
+            key = JSON.parse(text.slice(i, keyEnd));
+        } catch {
+            break;
+        }
+
+        i = skip(keyEnd, /\s/);
+        if (text[i] !== ":") break;
+        i = skip(i + 1, /\s/);
+        if (i >= text.length) break;
+
+        const valueEnd = scanValueEnd(text, i);
+        if (valueEnd === -1) break;
+
+        try {
+            fields.push([key, JSON.parse(text.slice(i, valueEnd))]);
+        } catch {
+            // Malformed value; the final parse will deal with it
+        }
+        i = valueEnd;
+    }
+
+    return fields;
+}
+
+export class PartialJsonFieldParser {
+    constructor() {
+        this.buffer = "";
+        this.emitted = new Set();
+    }
+
+    // Append a chunk and return fields that became complete since the last push
+    push(chunk) {
+        this.buffer += chunk;
+
+        return scanCompletedFields(this.buffer).filter(([key]) => {
+            if (this.emitted.has(key)) return false;
+            this.emitted.add(key);
+            return true;
+        });
+    }
+}
+
+// ========== KEYWORD EXTRACTION ==========
+export function extractKeywords(text, limit = 6, language = "en") {
+    if (!text || typeof text !== "string") return [];
+
+    const stopwords = stopwordsFor(language);
+    const tokens = tokenize(text);
+
+    const freq = new Map();
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (stopwords.has(token) || [...token].length <= 2) continue;
+
+        freq.set(token, (freq.get(token) || 0) + 1);
+
+        // Bigrams
+        if (i + 1 < tokens.length) {
+            const bigram = `${token} ${tokens[i + 1]}`;
+            if (![...bigram.split(" ")].some(w => stopwords.has(w))) {
+                freq.set(bigram, (freq.get(bigram) || 0) + 1.2);
+            }
+        }
+    }
+
+    return [...freq.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([word]) => word.trim());
+}
+
+// ========== FIELD NORMALIZERS ==========
+export function normalizeSentiment(value, label) {
+    if (typeof value === "number") {
+        if (value > 1 && value <= 100) value /= 100;
+        return Math.max(0, Math.min(1, value));
+    }
+
+    if (label) {
+        const labelLower = String(label).toLowerCase();
+        return settings().sentiment.label_scores[labelLower] ?? 0.5;
+    }
+
+    return 0.5;
+}
+
+// A 0..1 score, also accepting percentages; null when the value is unusable
+export function normalizeUnit(value) {
+    const number = typeof value === "string" ? parseFloat(value) : value;
+    if (typeof number !== "number" || !Number.isFinite(number)) return null;
+
+    const scaled = number > 1 && number <= 100 ? number / 100 : number;
+    return Number(Math.max(0, Math.min(1, scaled)).toFixed(3));
+}
+
+// Keeps only the taxonomy's emotions; null unless at least one is present
+export function normalizeEmotions(value) {
+    if (!value || typeof value !== "object" || Array.isArray(value)) return null;
+
+    const lowered = Object.fromEntries(Object.entries(value).map(([key, score]) => [key.toLowerCase(), score]));
+    if (!EMOTIONS.some(emotion => normalizeUnit(lowered[emotion]) !== null)) return null;
+
+    return Object.fromEntries(EMOTIONS.map(emotion => [emotion, normalizeUnit(lowered[emotion]) ?? 0]));
+}
+
+// Rough vector from the scalar sentiment and tone word when the model gave none
+function deriveEmotions(sentiment, tone) {
+    const emotions = emptyEmotions();
+    const intensity = Number((Math.abs(sentiment - 0.5) * 2).toFixed(3));
+    const toneEmotion = TONE_EMOTIONS[String(tone).toLowerCase()];
+    const { thresholds } = settings().sentiment;
+
+    if (toneEmotion) {
+        emotions[toneEmotion] = Math.max(0.4, intensity);
+    } else if (sentiment > thresholds.positive) {
+        emotions.joy = intensity;
+    } else if (sentiment < thresholds.negative) {
+        emotions.sadness = intensity;
+    }
+
+    return emotions;
+}
+
+function deriveConfidence(sentiment) {
+    return Math.max(0.5, Math.min(0.99, 0.4 + Math.abs(sentiment - 0.5) * 1.1));
+}
+
+function deriveTone(sentiment) {
+    if (sentiment >= 0.7) return "positive";
+    if (sentiment <= 0.3) return "negative";
+    return "neutral";
+}
+
+function deriveSummary(parsed, rawText, originalText) {
+    if (parsed?.short_summary) return String(parsed.short_summary);
+
+    const source = rawText || originalText;
+    const lines = source.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+
+    return lines.length
+        ? lines.slice(0, 2).join(" ").slice(0, 220)
+        : originalText.slice(0, 220);
+}
+
+// Case-insensitive position of the quoted span (or else the term) in the original text
+function locateSpan(text, quote, term) {
+    const lower = text.toLowerCase();
+
+    for (const candidate of [quote, term]) {
+        if (typeof candidate !== "string" || !candidate.trim()) continue;
+
+        const start = lower.indexOf(candidate.trim().toLowerCase());
+        if (start !== -1) {
+            const end = start + candidate.trim().length;
+            return { text: text.slice(start, end), start, end };
+        }
+    }
+
+    return null;
+}
+
+// Per-aspect sentiment with the span each aspect came from. Model aspects are
+// cleaned up; without any, each keyword is scored by the lexicon on its own
+// clause, falling back to the overall sentiment.
+export function normalizeAspects(value, originalText, keywords, sentiment) {
+    const fromModel = Array.isArray(value)
+        ? value.filter(aspect => typeof aspect?.term === "string" && aspect.term.trim())
+        : [];
+
+    if (fromModel.length === 0) {
+        return scoreAspects(originalText, keywords, sentiment).map(({ term, sentiment: score, span }) => ({
+            term,
+            sentiment: score,
+            sentiment_label: deriveSentimentLabel(score),
+            span
+        }));
+    }
+
+    const seen = new Set();
+
+    return fromModel
+        .filter(aspect => {
+            const key = aspect.term.trim().toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .slice(0, 10)
+        .map(aspect => {
+            const term = aspect.term.trim();
+            const score = normalizeUnit(aspect.sentiment) ??
+                (aspect.sentiment_label ? normalizeSentiment(null, aspect.sentiment_label) : sentiment);
+
+            return {
+                term,
+                sentiment: score,
+                sentiment_label: deriveSentimentLabel(score),
+                span: locateSpan(originalText, aspect.span, term)
+            };
+        });
+}
+
+// Without a model answer, blend the prior segments' sentiments (recent ones weigh more) with this one
+function deriveConversationSentiment(value, sentiment, context) {
+    if (typeof value === "number" && Number.isFinite(value)) {
+        return Number(normalizeSentiment(value).toFixed(3));
+    }
+
+    let weighted = sentiment;
+    let totalWeight = 1;
+
+    context.segments.forEach((segment, i) => {
+        if (typeof segment.sentiment !== "number") return;
+        const weight = Math.pow(0.7, context.segments.length - i);
+        weighted += segment.sentiment * weight;
+        totalWeight += weight;
+    });
+
+    return Number((weighted / totalWeight).toFixed(3));
+}
+
+export function deriveSentimentLabel(sentiment) {
+    const { thresholds } = settings().sentiment;
+    if (sentiment < thresholds.negative) return "negative";
+    if (sentiment > thresholds.positive) return "positive";
+    return "neutral";
+}
+
+// ========== RESPONSE BUILDER ==========
+export function buildAnalysisResponse(parsed, geminiRaw, rawText, originalText, model = Config.MODEL, source = "model", { context = null, language = "en" } = {}) {
+    const sentiment = normalizeSentiment(parsed?.sentiment, parsed?.sentiment_label);
+    const confidence = parsed?.confidence ?? deriveConfidence(sentiment);
+    const tone = parsed?.tone || deriveTone(sentiment);
+    const short_summary = deriveSummary(parsed, rawText, originalText);
+
+    const emotions = normalizeEmotions(parsed?.emotions) || deriveEmotions(sentiment, tone);
+    const affect = affectFromEmotions(emotions);
+    const arousal = normalizeUnit(parsed?.arousal) ?? affect.arousal;
+    const dominance = normalizeUnit(parsed?.dominance) ?? affect.dominance;
+
+    let keywords = Array.isArray(parsed?.keywords)
+        ? parsed.keywords.map(String)
+        : [];
+
+    // Aspects name the same topics, so they can stand in for missing keywords
+    if (keywords.length === 0 && Array.isArray(parsed?.aspects)) {
+        keywords = parsed.aspects.map(aspect => aspect?.term).filter(term => typeof term === "string" && term.trim());
+    }
+
+    if (keywords.length === 0) {
+        const keywordSource = short_summary || rawText || originalText;
+        keywords = extractKeywords(keywordSource, 6, language);
+    }
+
+    keywords = Array.from(new Set(keywords)).slice(0, 7);
+
+    const aspects = normalizeAspects(parsed?.aspects, originalText, keywords, sentiment);
+
+    const sentiment_label = parsed?.sentiment_label || deriveSentimentLabel(sentiment);
+
+    return {
+        success: true,
+        data: {
+            model,
+            sentiment,
+            sentiment_label: String(sentiment_label),
+            confidence: Number(confidence.toFixed(3)),
+            keywords,
+            aspects,
+            tone,
+            emotions,
+            arousal,
+            dominance,
+            short_summary,
+            ...(hasContext(context) && {
+                conversation_sentiment: deriveConversationSentiment(parsed?.conversation_sentiment, sentiment, context)
+            })
+        },
+        metadata: {
+            timestamp: new Date().toISOString(),
+            processing_time: null, // Will be set by endpoint
+            source,
+            ...(hasContext(context) && { context: describeContext(context) })
+        },
+        ...(Config.DEBUG && { debug: { raw: geminiRaw, rawText } })
+    };
+}
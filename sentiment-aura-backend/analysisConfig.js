@@ -0,0 +1,252 @@
+// analysisConfig.js
+// Tunable analysis settings (thresholds, limits, stopwords, prompt versions and the
+// prompt experiment), loaded from a JSON file and reloaded on change or SIGHUP.
+// A file that fails validation is rejected and the previous settings stay in effect.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import Ajv from "ajv";
+
+// ========== SCHEMA ==========
+const UNIT = { type: "number", minimum: 0, maximum: 1 };
+const TEMPLATE = {
+    anyOf: [
+        { type: "string", minLength: 1 },
+        { type: "array", minItems: 1, items: { type: "string" } }
+    ]
+};
+
+const CONFIG_SCHEMA = {
+    type: "object",
+    required: ["version", "sentiment", "limits", "prompts"],
+    additionalProperties: false,
+    properties: {
+        version: { type: "string", minLength: 1 },
+        sentiment: {
+            type: "object",
+            required: ["thresholds", "label_scores"],
+            additionalProperties: false,
+            properties: {
+                thresholds: {
+                    type: "object",
+                    required: ["negative", "positive"],
+                    additionalProperties: false,
+                    properties: { negative: UNIT, positive: UNIT }
+                },
+                label_scores: {
+                    type: "object",
+                    required: ["negative", "neutral", "positive"],
+                    additionalProperties: false,
+                    properties: { negative: UNIT, neutral: UNIT, positive: UNIT }
+                }
+            }
+        },
+        limits: {
+            type: "object",
+            required: ["max_text_length", "max_output_tokens"],
+            additionalProperties: false,
+            properties: {
+                max_text_length: { type: "integer", minimum: 1, maximum: 100000 },
+                max_output_tokens: { type: "integer", minimum: 64, maximum: 8192 }
+            }
+        },
+        stopwords: {
+            type: "object",
+            additionalProperties: { type: "array", items: { type: "string", minLength: 1 } }
+        },
+        prompts: {
+            type: "object",
+            required: ["default", "versions"],
+            additionalProperties: false,
+            properties: {
+                default: { type: "string", minLength: 1 },
+                versions: {
+                    type: "object",
+                    minProperties: 1,
+                    propertyNames: { pattern: "^[A-Za-z0-9._-]{1,40}$" },
+                    additionalProperties: {
+                        type: "object",
+                        required: ["standard", "contextual", "repair", "language_guideline"],
+                        additionalProperties: false,
+                        properties: { standard: TEMPLATE, contextual: TEMPLATE, repair: TEMPLATE, language_guideline: TEMPLATE }
+                    }
+                }
+            }
+        },
+        experiment: {
+            type: ["object", "null"],
+            required: ["name", "variants"],
+            additionalProperties: false,
+            properties: {
+                name: { type: "string", minLength: 1 },
+                variants: {
+                    type: "object",
+                    minProperties: 1,
+                    additionalProperties: { type: "integer", minimum: 0 }
+                }
+            }
+        }
+    }
+};
+
+// The placeholders each template is rendered with; a template may use only its own.
+// Templates are strings or arrays of lines.
+export const PROMPT_PLACEHOLDERS = {
+    standard: ["text", "emotion_fields", "negative_threshold", "positive_threshold", "language_guideline"],
+    contextual: ["text", "context", "emotion_fields", "negative_threshold", "positive_threshold", "language_guideline"],
+    repair: ["text", "fields", "problems", "schema", "previous_output", "language_guideline"],
+    language_guideline: ["language_name"]
+};
+
+// ...and the ones it must use
+const REQUIRED_PLACEHOLDERS = {
+    standard: ["text"],
+    contextual: ["text", "context"],
+    repair: ["text", "fields"],
+    language_guideline: ["language_name"]
+};
+
+const PLACEHOLDER_PATTERN = /\{\{(\w+)\}\}/g;
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validateShape = ajv.compile(CONFIG_SCHEMA);
+
+// ========== VALIDATION ==========
+// Check a parsed config file. Returns a list of problems, empty when valid.
+export function validateAnalysisConfig(config, languages) {
+    if (!validateShape(config)) {
+        return validateShape.errors.map(error => {
+            const field = error.instancePath.slice(1).replace(/\//g, ".") || "config";
+            return error.keyword === "additionalProperties"
+                ? `${field}: unknown setting "${error.params.additionalProperty}"`
+                : `${field} ${error.message}`;
+        });
+    }
+
+    const problems = [];
+    const { thresholds } = config.sentiment;
+
+    if (thresholds.negative >= thresholds.positive) {
+        problems.push("sentiment.thresholds.negative must be below sentiment.thresholds.positive");
+    }
+
+    for (const language of Object.keys(config.stopwords || {})) {
+        if (!languages.includes(language)) problems.push(`stopwords.${language}: unsupported language (expected: ${languages.join(", ")})`);
+    }
+
+    const { versions } = config.prompts;
+
+    if (!versions[config.prompts.default]) {
+        problems.push(`prompts.default: no version named "${config.prompts.default}"`);
+    }
+
+    for (const [version, templates] of Object.entries(versions)) {
+        for (const [name, template] of Object.entries(templates)) {
+            const used = new Set([...joinTemplate(template).matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]));
+            const unknown = [...used].filter(placeholder => !PROMPT_PLACEHOLDERS[name].includes(placeholder));
+            const missing = REQUIRED_PLACEHOLDERS[name].filter(placeholder => !used.has(placeholder));
+            const field = `prompts.versions.${version}.${name}`;
+
+            if (unknown.length) problems.push(`${field}: unknown placeholders ${unknown.map(p => `{{${p}}}`).join(", ")}`);
+            if (missing.length) problems.push(`${field}: missing placeholders ${missing.map(p => `{{${p}}}`).join(", ")}`);
+        }
+    }
+
+    if (config.experiment) {
+        const { variants } = config.experiment;
+        const unknown = Object.keys(variants).filter(version => !versions[version]);
+
+        if (unknown.length) problems.push(`experiment.variants: no prompt version named ${unknown.map(v => `"${v}"`).join(", ")}`);
+        if (Object.values(variants).every(weight => weight === 0)) problems.push("experiment.variants: at least one weight must be above 0");
+    }
+
+    return problems;
+}
+
+function joinTemplate(template) {
+    return Array.isArray(template) ? template.join("\n") : template;
+}
+
+// Fill a template's {{placeholders}}. Values are inserted once, so text
+// containing "{{...}}" is never expanded again.
+export function renderTemplate(template, values) {
+    return joinTemplate(template).replace(PLACEHOLDER_PATTERN, (match, name) => String(values[name] ?? ""));
+}
+
+// ========== STORE ==========
+export class AnalysisConfigStore {
+    // `languages`: the codes stopword lists may be given for
+    constructor({ languages, pollInterval = 2000 }) {
+        this.languages = languages;
+        this.pollInterval = pollInterval;
+        this.current = null;
+        this.source = null;
+        this.hash = null;
+        this.loadedAt = null;
+        this.listeners = [];
+        this.watching = false;
+    }
+
+    onChange(fn) {
+        this.listeners.push(fn);
+    }
+
+    // Read, validate and apply the file. Throws without touching the
+    // current settings when the file is unreadable or invalid.
+    load(file) {
+        const source = path.resolve(file);
+        const raw = fs.readFileSync(source, "utf8");
+
+        let config;
+        try {
+            config = JSON.parse(raw);
+        } catch (err) {
+            throw new Error(`${source} is not valid JSON: ${err.message}`);
+        }
+
+        const problems = validateAnalysisConfig(config, this.languages);
+        if (problems.length) {
+            throw new Error(`${source} is invalid: ${problems.join("; ")}`);
+        }
+
+        const previous = this.current;
+        this.current = { ...config, stopwords: config.stopwords || {}, experiment: config.experiment || null };
+        this.source = source;
+        this.hash = crypto.createHash("sha256").update(raw).digest("hex").slice(0, 12);
+        this.loadedAt = new Date().toISOString();
+
+        this.listeners.forEach(fn => fn(this.current, previous));
+        return this.current;
+    }
+
+    reload() {
+        return this.load(this.source);
+    }
+
+    // Poll the file, so editors that save by rename are picked up too
+    watch(onReload) {
+        if (this.watching || !this.source) return;
+        this.watching = true;
+
+        fs.watchFile(this.source, { interval: this.pollInterval, persistent: false }, (curr, prev) => {
+            if (curr.mtimeMs !== prev.mtimeMs || curr.size !== prev.size) onReload("file change");
+        });
+    }
+
+    unwatch() {
+        if (!this.watching) return;
+        fs.unwatchFile(this.source);
+        this.watching = false;
+    }
+
+    describe() {
+        return {
+            version: this.current?.version ?? null,
+            source: this.source,
+            hash: this.hash,
+            loaded_at: this.loadedAt,
+            watching: this.watching
+        };
+    }
+}
@@ -0,0 +1,3142 @@
+// app.js
+// The Express app: middleware, providers, stores and every route, plus the
+// WebSocket channels attached to a listening server. Importing this module
+// starts nothing; server.js is the process entry point.
+import express from "express";
+import axios from "axios";
+import cors from "cors";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import Ajv from "ajv";
+import { AsyncLocalStorage } from "async_hooks";
+import { WebSocketServer, WebSocket } from "ws";
+import { scoreText, emptyEmotions, affectFromEmotions } from "./lexicon.js";
+import { LANGUAGES, SUPPORTED_LANGUAGES, detectLanguage } from "./languages.js";
+import { rankSessionTopics } from "./keyphrases.js";
+import { createLogger, LEVELS } from "./logger.js";
+import { buildOpenApiDocument, listOperations, renderDocsPage } from "./openapi.js";
+import { assignPromptVersion, ExperimentTracker, summarizeCorrections } from "./experiments.js";
+import { CircuitBreaker, STATES as CIRCUIT_STATES } from "./circuitBreaker.js";
+import { Config } from "./config.js";
+import { APIError, ValidationError, ProviderAPIError, GeminiAPIError, CircuitOpenError, DeepgramAPIError, NotFoundError, AuthError, RateLimitError, ParseError, buildErrorResponse } from "./errors.js";
+import { MetricsRegistry, METRIC_PREFIX } from "./metrics.js";
+import {
+    analysisConfig,
+    settings,
+    validateTextInput,
+    validateLanguageInput,
+    MAX_CONTEXT_SEGMENTS,
+    hasContext,
+    buildSessionContext,
+    resolveRequestContext,
+    resolvePromptVersion,
+    buildPrompt,
+    buildRepairPrompt,
+    extractTextFromResponse,
+    extractTextFromChatCompletion,
+    isPlainObject,
+    parseJsonFromText,
+    analysisSchemaFor,
+    subsetSchema,
+    toGeminiSchema,
+    validateModelOutput,
+    isParseFailure,
+    PartialJsonFieldParser,
+    extractKeywords,
+    normalizeSentiment,
+    normalizeUnit,
+    normalizeEmotions,
+    normalizeAspects,
+    deriveSentimentLabel,
+    buildAnalysisResponse
+} from "./analysis.js";
+
+// ========== LOGGING ==========
+// One structured logger for the whole server (see logger.js). HTTP requests
+// run inside requestContext, so every line logged while serving one, down to
+// provider retries, carries its request ID and route. Socket work runs in a
+// context of its own ({ route, session_id, ... }).
+const requestContext = new AsyncLocalStorage();
+
+export const logger = createLogger({
+    level: Config.LOG_LEVEL,
+    format: Config.LOG_FORMAT,
+    color: Config.LOG_FORMAT === "pretty" && process.stdout.isTTY,
+    logText: Config.LOG_TEXT,
+    file: Config.LOG_FILE,
+    maxBytes: Config.LOG_FILE_MAX_BYTES,
+    maxFiles: Config.LOG_FILE_MAX_FILES,
+    context: () => {
+        const store = requestContext.getStore();
+        if (!store) return {};
+        return store.req ? { req_id: store.req.id, route: routeLabel(store.req) } : store;
+    }
+});
+
+// Client mistakes are warnings; everything else is an error worth a look
+function logFailure(msg, error, fields = {}) {
+    const level = error?.statusCode && error.statusCode < 500 ? "warn" : "error";
+    logger.log(level, msg, { ...fields, err: error });
+}
+
+// ========== CONFIGURATION CHECKS ==========
+function validateConfig() {
+    const provider = providers.get(Config.PROVIDER);
+
+    if (!provider) {
+        logger.error(`Unknown ANALYSIS_PROVIDER "${Config.PROVIDER}" (expected one of: ${[...providers.keys()].join(", ")})`);
+        return false;
+    }
+
+    if (!provider.isConfigured()) {
+        logger.error(`Provider "${provider.name}" is not configured: ${provider.missingConfig()}`);
+        return false;
+    }
+
+    if (!["json_schema", "json_object", "none"].includes(Config.OPENAI_RESPONSE_FORMAT)) {
+        logger.error(`Unknown OPENAI_RESPONSE_FORMAT "${Config.OPENAI_RESPONSE_FORMAT}" (expected: json_schema, json_object, none)`);
+        return false;
+    }
+
+    if (!LEVELS[Config.LOG_LEVEL] || !["json", "pretty"].includes(Config.LOG_FORMAT)) {
+        logger.error(`Invalid logging config: LOG_LEVEL "${Config.LOG_LEVEL}" (expected: ${Object.keys(LEVELS).join(", ")}), LOG_FORMAT "${Config.LOG_FORMAT}" (expected: json, pretty)`);
+        return false;
+    }
+
+    const unknownScopes = Config.ANONYMOUS_SCOPES.filter(scope => !SCOPES.includes(scope));
+    if (unknownScopes.length) {
+        logger.error(`Unknown ANONYMOUS_SCOPES: ${unknownScopes.join(", ")} (expected: ${SCOPES.join(", ")})`);
+        return false;
+    }
+
+    try {
+        apiKeys.load(Config.API_KEYS_FILE);
+    } catch (err) {
+        logger.error(`Could not load API_KEYS_FILE: ${err.message}`);
+        return false;
+    }
+
+    try {
+        analysisConfig.load(Config.ANALYSIS_CONFIG_FILE);
+    } catch (err) {
+        logger.error(`Could not load ANALYSIS_CONFIG_FILE: ${err.message}`);
+        return false;
+    }
+    return true;
+}
+
+export function printConfig() {
+    if (Config.NODE_ENV === "development") {
+        console.log("\nSentiment Aura API Server");
+        console.log("━".repeat(50));
+        console.log(`Environment:     ${Config.NODE_ENV}`);
+        const provider = providers.get(Config.PROVIDER);
+        console.log(`AI Provider:     ${provider.displayName} (${provider.model})`);
+        if (process.env.GEMINI_BASE_URL) console.log(`Gemini URL:      ${Config.GEMINI_BASE_URL}`);
+        console.log(`API Key:         ${provider.isConfigured() ? "Configured" : "Missing"}`);
+        console.log(`Timeout:         ${Config.API_TIMEOUT}ms`);
+        console.log(`Circuit:         ${Config.CIRCUIT_FAILURE_THRESHOLD > 0 ? `opens at ${Config.CIRCUIT_FAILURE_THRESHOLD} of ${Math.max(Config.CIRCUIT_WINDOW, Config.CIRCUIT_FAILURE_THRESHOLD)} failed calls for ${Config.CIRCUIT_OPEN_MS / 1000}s` : "OFF"}`);
+        console.log(`Rate Limit:      ${Config.RATE_LIMIT > 0 ? `${Config.RATE_LIMIT} per ${Config.RATE_LIMIT_WINDOW / 1000}s` : "OFF"}`);
+        console.log(`Fallback:        Lexicon ${Config.LEXICON_FALLBACK ? "ON" : "OFF"}`);
+        console.log(`Schema Repair:   ${Config.SCHEMA_REPAIR ? "ON" : "OFF"}`);
+        console.log(`Deepgram Key:    ${Config.DEEPGRAM_API_KEY ? "Configured" : "Missing (token route and relay disabled)"}`);
+        console.log(`API Keys:        ${apiKeys.enabled ? `${apiKeys.size} loaded (anonymous: ${Config.ANONYMOUS_SCOPES.join(", ") || "none"})` : "OFF (open access)"}`);
+        console.log(`Cache:           ${Config.CACHE_ENABLED ? `${Config.CACHE_MAX_ENTRIES} entries, TTL ${Math.round(Config.CACHE_TTL / 1000)}s${Config.CACHE_FILE ? `, file ${Config.CACHE_FILE}` : ""}` : "OFF"}`);
+        console.log(`Sessions Dir:    ${Config.SESSIONS_DIR}`);
+        console.log(`Analysis Config: ${analysisConfig.source} (version ${analysisConfig.current.version})`);
+        console.log(`Prompts:         ${describePromptRouting()}`);
+        console.log(`Context Window:  ${Config.CONTEXT_WINDOW > 0 ? `${Config.CONTEXT_WINDOW} segments` : "OFF"}`);
+        console.log(`Logging:         ${Config.LOG_LEVEL}, ${Config.LOG_FORMAT}${Config.LOG_TEXT ? ", with text" : ""}${Config.LOG_FILE ? `, file ${Config.LOG_FILE}` : ""}`);
+        console.log(`Resp. Checks:    ${Config.VALIDATE_RESPONSES ? "ON" : "OFF"}`);
+        console.log(`Debug Mode:      ${Config.DEBUG ? "ON" : "OFF"}`);
+        console.log(`CORS Origins:    ${Config.FRONTEND_ORIGINS.length} configured`);
+        console.log("━".repeat(50) + "\n");
+    }
+}
+
+// ========== METRICS ==========
+const metrics = new MetricsRegistry(METRIC_PREFIX);
+
+const httpRequests = metrics.counter("http_requests_total", "HTTP requests by method, route and status code");
+const httpDuration = metrics.histogram("http_request_duration_seconds", "HTTP request latency by method and route");
+const upstreamRequests = metrics.counter("upstream_requests_total", "Upstream provider call attempts by provider and status code (\"error\" when no response arrived)");
+const upstreamDuration = metrics.histogram("upstream_request_duration_seconds", "Upstream provider call latency per attempt (time to headers for streams)");
+const upstreamRetries = metrics.counter("upstream_retries_total", "Upstream provider retries by provider");
+const upstreamFailures = metrics.counter("upstream_failures_total", "Upstream provider calls that failed after all retries, by provider and status code");
+const parseFailures = metrics.counter("analysis_parse_failures_total", "Model replies that were not a JSON object, by provider");
+const schemaValidations = metrics.counter("analysis_validation_total", "Model replies by provider and validation outcome (valid, repaired, defaulted)");
+const fallbacks = metrics.counter("analysis_fallbacks_total", "Analyses answered by the lexicon fallback, by failed provider and status code");
+const shortTextHits = metrics.counter("analysis_short_text_total", "Analyses answered by the short-text shortcut without a provider call");
+const responseValidationFailures = metrics.counter("response_validation_failures_total", "JSON responses that did not match the OpenAPI document, by route");
+const configReloads = metrics.counter("analysis_config_reloads_total", "Analysis config reloads by outcome (applied, rejected)");
+const circuitTransitions = metrics.counter("circuit_breaker_transitions_total", "Circuit breaker state changes by provider and new state");
+
+// The HTTP route pattern keeps label cardinality bounded; unmatched paths share one label
+function routeLabel(req) {
+    return req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+}
+
+// ========== ANALYSIS CONFIG RELOADS ==========
+// A rejected file leaves the previous settings in place
+export function reloadAnalysisConfig(reason) {
+    const previous = analysisConfig.hash;
+
+    try {
+        analysisConfig.reload();
+        if (analysisConfig.hash === previous) {
+            logger.debug("analysis config unchanged", { reason, version: analysisConfig.current.version });
+            return;
+        }
+
+        configReloads.inc({ outcome: "applied" });
+        logger.info("analysis config reloaded", { reason, ...analysisConfig.describe() });
+    } catch (err) {
+        configReloads.inc({ outcome: "rejected" });
+        logger.error("analysis config rejected, keeping the previous version", {
+            reason,
+            version: analysisConfig.current.version,
+            error: err.message
+        });
+    }
+}
+
+// ========== EXPRESS APP SETUP ==========
+const app = express();
+
+// Behind a reverse proxy (Render, Railway, ...) req.ip must come from X-Forwarded-For
+app.set("trust proxy", Config.TRUST_PROXY);
+
+// Middleware
+// Batch requests carry whole transcripts, so they get a larger body limit
+const BATCH_PATHS = new Set(["/api/process_batch"]);
+const jsonBody = express.json({ limit: "96kb" });
+const batchJsonBody = express.json({ limit: Config.BATCH_BODY_LIMIT });
+
+app.use((req, res, next) => (BATCH_PATHS.has(req.path) ? batchJsonBody : jsonBody)(req, res, next));
+app.use(cors({
+    origin: Config.FRONTEND_ORIGINS,
+    credentials: true,
+    methods: ["GET", "POST", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization"],
+    exposedHeaders: ["X-Request-ID", "Retry-After", "X-RateLimit-Limit", "X-RateLimit-Remaining", "X-RateLimit-Reset"],
+}));
+
+// Request ID middleware for tracking
+app.use((req, res, next) => {
+    req.id = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    res.setHeader("X-Request-ID", req.id);
+    next();
+});
+
+// In-flight requests (SSE streams included), so a shutdown can wait for them.
+// While draining, requests on kept-alive connections are still answered, but
+// the connection is closed afterwards.
+let draining = false;
+let activeRequests = 0;
+
+app.use((req, res, next) => {
+    activeRequests++;
+    res.on("close", () => activeRequests--);
+
+    if (draining) res.setHeader("Connection", "close");
+    next();
+});
+
+// Request context, metrics and access log, recorded once the response is sent.
+// Probes and scrapes only show up at debug level.
+const QUIET_ROUTES = new Set(["/metrics", "/api/health"]);
+
+app.use((req, res, next) => {
+    const stopTimer = httpDuration.startTimer();
+
+    res.on("finish", () => {
+        const labels = { method: req.method, route: routeLabel(req) };
+        const seconds = stopTimer(labels);
+        httpRequests.inc({ ...labels, status: res.statusCode });
+
+        logger.log(res.statusCode >= 500 ? "warn" : QUIET_ROUTES.has(labels.route) ? "debug" : "info", "request completed", {
+            req_id: req.id,
+            ...labels,
+            status: res.statusCode,
+            latency_ms: Math.round(seconds * 1000),
+            api_key: req.apiKey?.id
+        });
+    });
+
+    requestContext.run({ req }, next);
+});
+
+// API key middleware: attaches req.apiKey ({ id, name, scopes } or null)
+app.use((req, res, next) => {
+    try {
+        req.apiKey = authenticateRequest(req);
+        next();
+    } catch (error) {
+        sendAuthError(res, error, req.id);
+    }
+});
+
+// ========== API KEYS & SCOPES ==========
+// Keys live in API_KEYS_FILE as SHA-256 hashes, never in plain text:
+//   { "keys": [{ "id": "reports", "name": "Reporting job", "hash": "sha256:<hex>", "scopes": ["analyze"] }] }
+// Without a key file, auth is off and every request is allowed.
+// Create entries with `npm run keys:create -- <id> <scope,...>`.
+const SCOPES = ["analyze", "transcribe", "sessions:read", "sessions:write", "metrics", "admin"];
+
+function hashApiKey(key) {
+    return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+class ApiKeyStore {
+    constructor() {
+        this.byHash = new Map();
+        this.enabled = false;
+        this.source = null;
+    }
+
+    get size() {
+        return this.byHash.size;
+    }
+
+    load(file) {
+        this.byHash.clear();
+        this.enabled = false;
+        this.source = null;
+
+        if (!file) return;
+
+        const source = path.resolve(file);
+        const { keys } = JSON.parse(fs.readFileSync(source, "utf8"));
+
+        if (!Array.isArray(keys)) {
+            throw new Error(`${source} must contain a "keys" array`);
+        }
+
+        keys.forEach((entry, index) => {
+            const hash = String(entry?.hash || "").replace(/^sha256:/, "").toLowerCase();
+
+            if (!entry?.id || !/^[0-9a-f]{64}$/.test(hash)) {
+                throw new Error(`keys[${index}] needs an "id" and a "sha256:<hex>" hash`);
+            }
+
+            const unknown = (entry.scopes || []).filter(scope => !SCOPES.includes(scope));
+            if (unknown.length) {
+                throw new Error(`keys[${index}] (${entry.id}) has unknown scopes: ${unknown.join(", ")}`);
+            }
+
+            this.byHash.set(hash, {
+                id: String(entry.id),
+                name: entry.name ? String(entry.name) : String(entry.id),
+                scopes: entry.scopes || [],
+                disabled: entry.disabled === true,
+                usage: { requests: 0, denied: 0, last_used_at: null }
+            });
+        });
+
+        this.enabled = true;
+        this.source = source;
+    }
+
+    lookup(key) {
+        return this.byHash.get(hashApiKey(key)) || null;
+    }
+
+    recordDenied(id) {
+        for (const record of this.byHash.values()) {
+            if (record.id === id) record.usage.denied++;
+        }
+    }
+
+    list() {
+        return [...this.byHash.values()].map(({ id, name, scopes, disabled, usage }) => ({
+            id, name, scopes, disabled, usage: { ...usage }
+        }));
+    }
+}
+
+const apiKeys = new ApiKeyStore();
+
+// Bearer token from the Authorization header, if the client sent one
+function extractApiKey(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers?.authorization || "");
+    return match ? match[1].trim() : null;
+}
+
+// Resolve the caller's identity. Returns null for anonymous callers and
+// throws AuthError for keys that are unknown or disabled.
+function authenticateRequest(req) {
+    if (!apiKeys.enabled) return null;
+
+    const presented = extractApiKey(req);
+    if (!presented) return null;
+
+    const record = apiKeys.lookup(presented);
+
+    if (!record) {
+        throw new AuthError("Invalid API key", 401);
+    }
+
+    if (record.disabled) {
+        throw new AuthError("API key is disabled", 403, { key: record.id });
+    }
+
+    record.usage.requests++;
+    record.usage.last_used_at = new Date().toISOString();
+
+    return { id: record.id, name: record.name, scopes: record.scopes };
+}
+
+// Throws AuthError unless the caller (key or anonymous) holds the scope; admin holds all scopes.
+function checkScope(req, scope) {
+    if (!apiKeys.enabled) return;
+
+    const scopes = req.apiKey ? req.apiKey.scopes : Config.ANONYMOUS_SCOPES;
+    if (scopes.includes(scope) || scopes.includes("admin")) return;
+
+    if (!req.apiKey) {
+        throw new AuthError(`API key required (scope '${scope}')`, 401, { scope });
+    }
+
+    apiKeys.recordDenied(req.apiKey.id);
+    throw new AuthError(`API key '${req.apiKey.id}' lacks scope '${scope}'`, 403, {
+        scope,
+        key: req.apiKey.id
+    });
+}
+
+function sendAuthError(res, error, requestId) {
+    if (error.statusCode === 401) {
+        res.setHeader("WWW-Authenticate", 'Bearer realm="sentiment-aura"');
+    }
+    return res.status(error.statusCode || 401).json(buildErrorResponse(error, requestId));
+}
+
+function requireScope(scope) {
+    return (req, res, next) => {
+        try {
+            checkScope(req, scope);
+            next();
+        } catch (error) {
+            sendAuthError(res, error, req.id);
+        }
+    };
+}
+
+// ========== RATE LIMITING ==========
+// Token bucket: holds up to `capacity` tokens and refills continuously so
+// that a full bucket is restored after one RATE_LIMIT_WINDOW.
+class TokenBucket {
+    constructor(capacity, windowMs) {
+        this.capacity = capacity;
+        this.refillPerMs = capacity / windowMs;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+    }
+
+    refill(now = Date.now()) {
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+        this.updatedAt = now;
+    }
+
+    msUntil(tokens) {
+        return Math.max(0, Math.ceil((tokens - this.tokens) / this.refillPerMs));
+    }
+}
+
+class RateLimiter {
+    constructor({ limit, windowMs }) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.buckets = new Map();
+        this.allowed = 0;
+        this.rejected = 0;
+    }
+
+    get enabled() {
+        return this.limit > 0;
+    }
+
+    bucketFor(identity) {
+        let bucket = this.buckets.get(identity);
+        if (!bucket) {
+            bucket = new TokenBucket(this.limit, this.windowMs);
+            this.buckets.set(identity, bucket);
+        }
+        return bucket;
+    }
+
+    // Take `cost` tokens from every identity's bucket, or from none of them.
+    // The most restrictive bucket decides the reported limit state. A cost
+    // above the limit can never be paid and is always refused.
+    consume(identities, cost = 1) {
+        const now = Date.now();
+        const charge = Math.max(1, cost);
+        const buckets = identities.map(identity => this.bucketFor(identity));
+
+        buckets.forEach(bucket => bucket.refill(now));
+
+        const tightest = buckets.reduce((min, bucket) => (bucket.tokens < min.tokens ? bucket : min));
+        const exceedsLimit = charge > this.limit;
+        const allowed = !exceedsLimit && tightest.tokens >= charge;
+
+        if (allowed) {
+            buckets.forEach(bucket => { bucket.tokens -= charge; });
+            this.allowed++;
+        } else {
+            this.rejected++;
+        }
+
+        return {
+            allowed,
+            limit: this.limit,
+            remaining: Math.floor(tightest.tokens),
+            resetMs: tightest.msUntil(this.limit),
+            retryAfterMs: allowed ? 0 : tightest.msUntil(Math.min(charge, this.limit)),
+            cost: charge,
+            exceedsLimit
+        };
+    }
+
+    // Forget buckets that have refilled completely; they hold no state worth keeping
+    prune() {
+        const now = Date.now();
+        for (const [identity, bucket] of this.buckets) {
+            bucket.refill(now);
+            if (bucket.tokens >= bucket.capacity) this.buckets.delete(identity);
+        }
+    }
+
+    describe() {
+        this.prune();
+        const byType = { ip: 0, key: 0 };
+        for (const identity of this.buckets.keys()) {
+            byType[identity.split(":")[0]]++;
+        }
+
+        return {
+            enabled: this.enabled,
+            limit: this.limit,
+            window_ms: this.windowMs,
+            active_buckets: byType,
+            allowed: this.allowed,
+            rejected: this.rejected
+        };
+    }
+}
+
+const rateLimiter = new RateLimiter({ limit: Config.RATE_LIMIT, windowMs: Config.RATE_LIMIT_WINDOW });
+setInterval(() => rateLimiter.prune(), Config.RATE_LIMIT_WINDOW).unref();
+
+// Every request is limited per IP; requests carrying an API key are also limited per key.
+function rateLimitIdentities(req) {
+    // WebSocket upgrade requests bypass Express, so req.ip is not set for them
+    const forwarded = Config.TRUST_PROXY ? req.headers?.["x-forwarded-for"]?.split(",")[0].trim() : null;
+    const ip = req.ip || forwarded || req.socket?.remoteAddress || "unknown";
+    const identities = [`ip:${ip}`];
+
+    if (req.apiKey) {
+        identities.push(`key:${req.apiKey.id}`);
+    } else if (extractApiKey(req)) {
+        // Auth is off, but callers that send a key still get their own bucket
+        identities.push(`key:${hashApiKey(extractApiKey(req)).slice(0, 16)}`);
+    }
+    return identities;
+}
+
+// Throws RateLimitError when the caller has no tokens left; returns the limit state otherwise.
+function enforceRateLimit(identities, cost = 1) {
+    if (!rateLimiter.enabled) return null;
+
+    const state = rateLimiter.consume(identities, cost);
+
+    if (!state.allowed) {
+        const retryAfter = Math.max(1, Math.ceil(state.retryAfterMs / 1000));
+        const message = state.exceedsLimit
+            ? `Request costs ${state.cost} tokens but the rate limit is ${state.limit} per window; split it into smaller requests`
+            : `Rate limit exceeded. Try again in ${retryAfter}s`;
+        throw new RateLimitError(message, retryAfter, {
+            limit: state.limit,
+            cost: state.cost,
+            windowMs: Config.RATE_LIMIT_WINDOW
+        }, state);
+    }
+    return state;
+}
+
+function setRateLimitHeaders(res, state) {
+    res.setHeader("X-RateLimit-Limit", state.limit);
+    res.setHeader("X-RateLimit-Remaining", state.remaining);
+    res.setHeader("X-RateLimit-Reset", Math.ceil(state.resetMs / 1000));
+}
+
+function sendRateLimitHeaders(res, error) {
+    res.setHeader("Retry-After", error.retryAfter);
+    setRateLimitHeaders(res, error.state);
+}
+
+// Route middleware for analysis endpoints. `cost` may be a function of the
+// request (a batch costs one token per item).
+function rateLimit(cost = 1) {
+    return (req, res, next) => {
+        try {
+            const state = enforceRateLimit(rateLimitIdentities(req), typeof cost === "function" ? cost(req) : cost);
+            if (state) setRateLimitHeaders(res, state);
+            next();
+        } catch (error) {
+            sendRateLimitHeaders(res, error);
+            return res.status(error.statusCode).json(buildErrorResponse(error, req.id));
+        }
+    };
+}
+
+// ========== UPSTREAM CALL WITH RETRY ==========
+// A pool of retries shared by several upstream calls (e.g. one batch request),
+// so a failing provider cannot multiply every item's retries.
+class RetryBudget {
+    constructor(total) {
+        this.total = total;
+        this.used = 0;
+    }
+
+    get remaining() {
+        return Math.max(0, this.total - this.used);
+    }
+
+    take() {
+        if (this.remaining === 0) return false;
+        this.used++;
+        return true;
+    }
+}
+
+// ========== CIRCUIT BREAKERS ==========
+// One breaker per upstream provider (circuitBreaker.js). Every attempt
+// postWithRetry makes is counted, so a provider that is down opens its
+// circuit after a few calls instead of queueing API_TIMEOUT waits behind
+// every utterance. While open, calls fail fast with CircuitOpenError, which
+// the lexicon fallback answers like any other provider failure.
+const circuitBreakers = new Map(
+    ["gemini", "openai"].map(provider => [provider, new CircuitBreaker({
+        name: provider,
+        failureThreshold: Config.CIRCUIT_FAILURE_THRESHOLD,
+        window: Config.CIRCUIT_WINDOW,
+        openMs: Config.CIRCUIT_OPEN_MS,
+        halfOpenRequests: Config.CIRCUIT_HALF_OPEN_REQUESTS,
+        onStateChange: (to, from, breaker) => {
+            circuitTransitions.inc({ provider, state: to });
+            logger.log(to === "open" ? "warn" : "info", `circuit ${to.replace("_", "-")}`, {
+                provider, from, to, failures: breaker.failures, retry_after_ms: breaker.retryAfterMs
+            });
+        }
+    })])
+);
+
+// Timeouts, network errors, 5xx, 408 and 429 say the upstream is struggling;
+// other 4xx replies mean it is up, and a cancelled call says nothing
+function classifyUpstreamOutcome(err) {
+    if (!err) return "success";
+    if (axios.isCancel(err)) return "neutral";
+
+    const status = err.response?.status;
+    if (!status || status >= 500 || status === 408 || status === 429) return "failure";
+    return "success";
+}
+
+function recordUpstreamOutcome(breaker, err) {
+    const outcome = classifyUpstreamOutcome(err);
+    if (outcome === "success") breaker.recordSuccess();
+    else if (outcome === "failure") breaker.recordFailure();
+    else breaker.release();
+}
+
+// `provider` names the upstream in metrics ("gemini", "openai") and picks its circuit breaker
+async function postWithRetry(endpoint, payload, { headers = {}, retries = 2, retryBudget = null, label, provider = "unknown", ErrorClass = ProviderAPIError, axiosOptions = {} } = {}) {
+    let lastError;
+    let attempts = 0;
+    const breaker = circuitBreakers.get(provider);
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        // Once the circuit opens, stop: fail fast, or give up retrying
+        if (breaker && !breaker.allowRequest()) {
+            if (attempt === 0) throw new CircuitOpenError(label, Math.ceil(breaker.retryAfterMs / 1000) || 1);
+            break;
+        }
+
+        attempts++;
+
+        if (attempt > 0) upstreamRetries.inc({ provider });
+        const stopTimer = upstreamDuration.startTimer();
+
+        try {
+            const { data, status } = await axios.post(endpoint, payload, {
+                headers: { "Content-Type": "application/json", ...headers },
+                timeout: Config.API_TIMEOUT,
+                ...axiosOptions
+            });
+
+            const latencyMs = Math.round(stopTimer({ provider }) * 1000);
+            upstreamRequests.inc({ provider, status });
+            if (breaker) recordUpstreamOutcome(breaker, null);
+
+            // A first-try success is routine; one after retries is worth seeing
+            logger.log(attempt > 0 ? "info" : "debug", "upstream call succeeded", {
+                provider, attempt: attempts, outcome: "success", status, latency_ms: latencyMs
+            });
+            return data;
+
+        } catch (err) {
+            lastError = err;
+            const latencyMs = Math.round(stopTimer({ provider }) * 1000);
+            const status = err?.response?.status || (axios.isCancel(err) ? "cancelled" : "error");
+            upstreamRequests.inc({ provider, status });
+            if (breaker) recordUpstreamOutcome(breaker, err);
+
+            // Retry only what may pass next time (timeouts, 5xx, 408, 429), not other
+            // client errors or calls the caller gave up on, and stop early once a
+            // shared retry budget is spent
+            const retryable = classifyUpstreamOutcome(err) === "failure";
+            const retrying = retryable && attempt < retries && (!retryBudget || retryBudget.take());
+
+            logger.warn("upstream call failed", {
+                provider, attempt: attempts, outcome: retrying ? "retry" : "failed", status, latency_ms: latencyMs, error: err.message
+            });
+
+            if (!retrying) break;
+
+            // Wait before retry (exponential backoff, or the upstream's Retry-After if longer)
+            const retryAfterMs = (parseInt(err.response?.headers?.["retry-after"]) || 0) * 1000;
+            const delay = Math.min(Math.max(1000 * Math.pow(2, attempt), retryAfterMs), 5000);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    // All retries failed
+    upstreamFailures.inc({ provider, status: lastError?.response?.status || "error" });
+    const status = lastError?.response?.status || 500;
+    const message = lastError?.response?.data?.error?.message || lastError?.message || "Unknown error";
+
+    throw new ErrorClass(
+        `${label} API call failed: ${message}`,
+        status,
+        {
+            endpoint: label,
+            attempts,
+            originalError: lastError?.response?.data
+        }
+    );
+}
+
+// ========== GEMINI API CALL WITH RETRY ==========
+// With a schema, Gemini's structured output mode constrains the reply to it
+function buildGeminiPayload(prompt, schema = null) {
+    return {
+        contents: [{ parts: [{ text: prompt }] }],
+        generationConfig: {
+            temperature: 0.0,
+            maxOutputTokens: settings().limits.max_output_tokens,
+            candidateCount: 1,
+            ...(schema && { responseMimeType: "application/json", responseSchema: toGeminiSchema(schema) })
+        }
+    };
+}
+
+// GEMINI_BASE_URL can point at any server speaking the same API, such as
+// the bundled stand-in (mock/gemini.js); it may run without a key
+function geminiEndpoint(action, params = {}) {
+    const query = new URLSearchParams({ ...params, ...(Config.API_KEY && { key: Config.API_KEY }) }).toString();
+    return `${Config.GEMINI_BASE_URL}/models/${Config.MODEL}${action}${query ? `?${query}` : ""}`;
+}
+
+async function callGeminiAPI(prompt, schema, { retries = 2, retryBudget = null } = {}) {
+    const endpoint = geminiEndpoint(":generateContent");
+    const payload = buildGeminiPayload(prompt, schema);
+
+    return postWithRetry(endpoint, payload, {
+        retries,
+        retryBudget,
+        label: `Gemini (${Config.MODEL})`,
+        provider: "gemini",
+        ErrorClass: GeminiAPIError
+    });
+}
+
+// Model metadata lookup: proves the key and model work without spending tokens
+async function probeGeminiAPI() {
+    await axios.get(geminiEndpoint(""), {
+        timeout: Config.HEALTH_PROBE_TIMEOUT
+    });
+}
+
+// ========== GEMINI STREAMING CALL ==========
+// Calls streamGenerateContent (SSE mode) and feeds each text delta to onText.
+// Only the initial connection is retried; once bytes flow, errors are final.
+// Resolves with the full concatenated model text.
+async function streamGeminiAPI(prompt, schema, { signal, onText = () => { } } = {}) {
+    const endpoint = geminiEndpoint(":streamGenerateContent", { alt: "sse" });
+    const label = `Gemini (${Config.MODEL})`;
+
+    const stream = await postWithRetry(endpoint, buildGeminiPayload(prompt, schema), {
+        retries: 1,
+        label,
+        provider: "gemini",
+        ErrorClass: GeminiAPIError,
+        axiosOptions: { responseType: "stream", signal }
+    });
+
+    stream.setEncoding("utf8");
+
+    let buffered = "";
+    let fullText = "";
+
+    const handleEvent = (rawEvent) => {
+        const data = rawEvent
+            .split("\n")
+            .filter(line => line.startsWith("data:"))
+            .map(line => line.slice(5).trim())
+            .join("");
+
+        if (!data) return;
+
+        try {
+            const delta = extractTextFromResponse(JSON.parse(data));
+            if (delta) {
+                fullText += delta;
+                onText(delta);
+            }
+        } catch {
+            // Ignore keep-alives and partial events that are not JSON
+        }
+    };
+
+    try {
+        for await (const chunk of stream) {
+            buffered += chunk.replace(/\r\n/g, "\n");
+
+            let boundary;
+            while ((boundary = buffered.indexOf("\n\n")) !== -1) {
+                handleEvent(buffered.slice(0, boundary));
+                buffered = buffered.slice(boundary + 2);
+            }
+        }
+        handleEvent(buffered);
+    } catch (err) {
+        throw new GeminiAPIError(`${label} stream interrupted: ${err.message}`, 502, {
+            endpoint: label,
+            received: fullText.length
+        });
+    }
+
+    return fullText;
+}
+
+// ========== OPENAI-COMPATIBLE API CALL WITH RETRY ==========
+// OPENAI_RESPONSE_FORMAT picks how much structure the server is asked to enforce
+function openAIResponseFormat(schema) {
+    if (!schema || Config.OPENAI_RESPONSE_FORMAT === "none") return null;
+    if (Config.OPENAI_RESPONSE_FORMAT === "json_object") return { type: "json_object" };
+    return { type: "json_schema", json_schema: { name: "sentiment_analysis", schema, strict: false } };
+}
+
+async function callOpenAICompatibleAPI(prompt, schema, { retries = 2, retryBudget = null } = {}) {
+    const endpoint = `${Config.OPENAI_BASE_URL}/chat/completions`;
+    const responseFormat = openAIResponseFormat(schema);
+
+    const payload = {
+        model: Config.OPENAI_MODEL,
+        messages: [{ role: "user", content: prompt }],
+        temperature: 0.0,
+        max_tokens: settings().limits.max_output_tokens,
+        n: 1,
+        ...(responseFormat && { response_format: responseFormat })
+    };
+
+    return postWithRetry(endpoint, payload, {
+        retries,
+        retryBudget,
+        label: `OpenAI-compatible (${Config.OPENAI_MODEL})`,
+        provider: "openai",
+        headers: Config.OPENAI_API_KEY ? { Authorization: `Bearer ${Config.OPENAI_API_KEY}` } : {}
+    });
+}
+
+async function probeOpenAICompatibleAPI() {
+    await axios.get(`${Config.OPENAI_BASE_URL}/models`, {
+        headers: Config.OPENAI_API_KEY ? { Authorization: `Bearer ${Config.OPENAI_API_KEY}` } : {},
+        timeout: Config.HEALTH_PROBE_TIMEOUT
+    });
+}
+
+// ========== ANALYSIS PROVIDERS ==========
+// A provider turns raw text into the normalized analysis envelope built by
+// buildAnalysisResponse. Subclasses only need to know how to reach their engine.
+class AnalysisProvider {
+    constructor(name, displayName) {
+        this.name = name;
+        this.displayName = displayName;
+    }
+
+    get model() {
+        return this.name;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    missingConfig() {
+        return null;
+    }
+
+    get supportsStreaming() {
+        return false;
+    }
+
+    // Model-backed providers render a prompt version; the lexicon has none
+    get usesPrompts() {
+        return true;
+    }
+
+    // Upstream providers have a circuit breaker and a cheap health probe
+    get breaker() {
+        return circuitBreakers.get(this.name) || null;
+    }
+
+    async probe() { }
+
+    // options.retryBudget: optional RetryBudget shared with other calls
+    // options.context: optional prior conversation (see buildSessionContext)
+    // options.promptVersion: prompt templates to render (see promptVersionFor)
+    async analyze(text, options = {}) {
+        throw new Error(`${this.constructor.name}.analyze() is not implemented`);
+    }
+
+    // Model-backed providers send a prompt (and the schema it must follow)
+    // and resolve with { raw, text }: the provider response and its text.
+    async complete(prompt, schema, options = {}) {
+        throw new Error(`${this.constructor.name}.complete() is not implemented`);
+    }
+
+    // Validate (and if needed repair) model output, then build the envelope
+    async finishAnalysis(text, raw, rawText, options = {}, parsed = parseJsonFromText(rawText)) {
+        const schema = analysisSchemaFor(options.context);
+        if (!isPlainObject(parsed)) parseFailures.inc({ provider: this.name });
+
+        const { parsed: checked, validation } = await validateModelOutput(parsed, {
+            schema,
+            repair: async (fields, errors) => {
+                const repairSchema = subsetSchema(schema, fields);
+                const prompt = buildRepairPrompt(text, rawText || "", fields, errors, repairSchema, options);
+                const repaired = await this.complete(prompt, repairSchema, { retryBudget: options.retryBudget, retries: 0 });
+                const patch = parseJsonFromText(repaired.text);
+
+                if (!patch) throw new ParseError("Repair output is not a JSON object");
+                return patch;
+            }
+        });
+
+        schemaValidations.inc({
+            provider: this.name,
+            outcome: validation.valid ? "valid" : validation.defaulted.length ? "defaulted" : "repaired"
+        });
+
+        if (!validation.valid) {
+            logger.warn("model output failed validation", {
+                provider: this.name,
+                repaired: validation.repaired,
+                defaulted: validation.defaulted,
+                repair_error: validation.repair_error
+            });
+        }
+
+        const response = buildAnalysisResponse(checked, raw, rawText, text, this.model, "model", options);
+        response.metadata.validation = validation;
+        return response;
+    }
+}
+
+class GeminiProvider extends AnalysisProvider {
+    constructor() {
+        super("gemini", "Gemini");
+    }
+
+    get model() {
+        return Config.MODEL;
+    }
+
+    // Like OpenAI-compatible servers, a custom base URL (e.g. the mock) counts as configured
+    isConfigured() {
+        return !!Config.API_KEY || !!process.env.GEMINI_BASE_URL;
+    }
+
+    missingConfig() {
+        return this.isConfigured() ? null : "Missing GOOGLE_API_KEY / GEMINI_API_KEY (or GEMINI_BASE_URL for a stand-in server) in .env";
+    }
+
+    get supportsStreaming() {
+        return true;
+    }
+
+    // options.onField(key, value) fires as each top-level JSON field completes
+    async analyzeStream(text, { signal, context = null, language = "en", promptVersion = null, onField = () => { } } = {}) {
+        const parser = new PartialJsonFieldParser();
+
+        const rawText = await streamGeminiAPI(buildPrompt(text, { context, language, promptVersion }), analysisSchemaFor(context), {
+            signal,
+            onText: (delta) => parser.push(delta).forEach(([key, value]) => onField(key, value))
+        });
+
+        return this.finishAnalysis(text, null, rawText, { context, language, promptVersion });
+    }
+
+    async probe() {
+        await probeGeminiAPI();
+    }
+
+    async complete(prompt, schema, options = {}) {
+        const raw = await callGeminiAPI(prompt, schema, options);
+        return { raw, text: extractTextFromResponse(raw) };
+    }
+
+    async analyze(text, options = {}) {
+        const { raw, text: rawText } = await this.complete(buildPrompt(text, options), analysisSchemaFor(options.context), options);
+
+        // Fallback: check for structured output
+        const parsed = parseJsonFromText(rawText) || raw?.structuredOutput || raw?.structured_output;
+
+        return this.finishAnalysis(text, raw, rawText, options, parsed);
+    }
+}
+
+class OpenAICompatibleProvider extends AnalysisProvider {
+    constructor() {
+        super("openai", "OpenAI-compatible");
+    }
+
+    get model() {
+        return Config.OPENAI_MODEL;
+    }
+
+    // Self-hosted OpenAI-compatible servers often run without a key,
+    // so a custom base URL counts as configured on its own.
+    isConfigured() {
+        return !!Config.OPENAI_API_KEY || !!process.env.OPENAI_BASE_URL;
+    }
+
+    missingConfig() {
+        return this.isConfigured() ? null : "Missing OPENAI_API_KEY (or OPENAI_BASE_URL for a keyless server) in .env";
+    }
+
+    async probe() {
+        await probeOpenAICompatibleAPI();
+    }
+
+    async complete(prompt, schema, options = {}) {
+        const raw = await callOpenAICompatibleAPI(prompt, schema, options);
+        return { raw, text: extractTextFromChatCompletion(raw) };
+    }
+
+    async analyze(text, options = {}) {
+        const { raw, text: rawText } = await this.complete(buildPrompt(text, options), analysisSchemaFor(options.context), options);
+        return this.finishAnalysis(text, raw, rawText, options);
+    }
+}
+
+class LexiconProvider extends AnalysisProvider {
+    constructor() {
+        super("local", "Local lexicon");
+    }
+
+    get model() {
+        return "lexicon-v1";
+    }
+
+    get usesPrompts() {
+        return false;
+    }
+
+    // The lexicon scores the segment on its own; context only feeds conversation_sentiment.
+    // Its word list is English, so other languages get a low-confidence answer.
+    async analyze(text, options = {}) {
+        const language = options.language || "en";
+        const { sentiment, confidence, tone, emotions, arousal, dominance } = scoreText(text);
+        const parsed = {
+            sentiment,
+            confidence: language === "en" ? confidence : Math.min(confidence, 0.3),
+            tone,
+            emotions,
+            arousal,
+            dominance,
+            keywords: extractKeywords(text, 6, language)
+        };
+
+        const response = buildAnalysisResponse(parsed, null, null, text, this.model, "lexicon", options);
+        if (language !== "en") {
+            response.metadata.note = `Lexicon scoring is English-only; ${LANGUAGES[language].name} text is barely scored`;
+        }
+        return response;
+    }
+}
+
+const providers = new Map(
+    [new GeminiProvider(), new OpenAICompatibleProvider(), new LexiconProvider()]
+        .map(provider => [provider.name, provider])
+);
+
+function resolveProvider(requested) {
+    if (requested === undefined || requested === null || requested === "") {
+        return providers.get(Config.PROVIDER);
+    }
+
+    if (typeof requested !== "string") {
+        throw new ValidationError("'provider' must be a string", {
+            field: "provider",
+            received: typeof requested
+        });
+    }
+
+    const provider = providers.get(requested.toLowerCase());
+
+    if (!provider) {
+        throw new ValidationError(`Unknown provider '${requested}'`, {
+            field: "provider",
+            allowed: [...providers.keys()]
+        });
+    }
+
+    if (!provider.isConfigured()) {
+        throw new APIError(`Provider '${provider.name}' is not configured on this server`, 503, {
+            provider: provider.name
+        });
+    }
+
+    return provider;
+}
+
+// Run the analysis on the given provider, falling back to the offline lexicon
+// when the upstream call fails and LEXICON_FALLBACK is enabled.
+async function analyzeWithFallback(provider, text, options = {}) {
+    try {
+        const response = await provider.analyze(text, options);
+        response.metadata.provider = provider.name;
+        return response;
+    } catch (error) {
+        return lexiconFallback(provider, text, error, options);
+    }
+}
+
+// Rethrows the error unless the offline lexicon may stand in for the failed provider.
+async function lexiconFallback(provider, text, error, options = {}) {
+    const lexicon = providers.get("local");
+
+    if (!(error instanceof ProviderAPIError) || !Config.LEXICON_FALLBACK || provider === lexicon) {
+        throw error;
+    }
+
+    logger.warn("provider failed, using lexicon fallback", { provider: provider.name, outcome: "fallback", err: error });
+    fallbacks.inc({ from: provider.name, status: error.statusCode });
+
+    const response = await lexicon.analyze(text, { context: options.context, language: options.language });
+    response.metadata.provider = lexicon.name;
+    response.metadata.fallback = {
+        from: provider.name,
+        reason: error.message,
+        statusCode: error.statusCode
+    };
+    return response;
+}
+
+function describeProviders() {
+    return Object.fromEntries(
+        [...providers.values()].map(provider => [provider.name, {
+            name: provider.displayName,
+            model: provider.model,
+            configured: provider.isConfigured(),
+            ...(provider.breaker && { circuit: provider.breaker.describe() })
+        }])
+    );
+}
+
+// ========== OPENAPI & REQUEST VALIDATION ==========
+// openapi.js describes every route. Request bodies are checked against it
+// before a handler runs, and outside production every JSON response is
+// checked too (VALIDATE_RESPONSES), so the document cannot quietly drift
+// from what the server actually sends.
+const API_VERSION = "2.0.0";
+
+// Rebuilt by refreshApiDocument() whenever the analysis config (text limit) changes
+let openApiDocument = null;
+let apiOperations = [];
+let operationsByRoute = new Map();
+let apiAjv = null;
+const apiValidators = new Map();
+
+function refreshApiDocument() {
+    openApiDocument = buildOpenApiDocument({
+        version: API_VERSION,
+        providers: [...providers.keys()],
+        languages: SUPPORTED_LANGUAGES,
+        scopes: SCOPES,
+        limits: { text: analysisConfig.current.limits.max_text_length, context: MAX_CONTEXT_SEGMENTS, batch: Config.BATCH_MAX_ITEMS }
+    });
+    apiOperations = listOperations(openApiDocument);
+    operationsByRoute = new Map(apiOperations.map(op => [`${op.method} ${op.path}`, op]));
+
+    // verbose: errors carry their parentSchema, which is where "x-message" lives
+    apiAjv = new Ajv({ allErrors: true, strict: false, verbose: true });
+    apiAjv.addFormat("date-time", value => !Number.isNaN(Date.parse(value)));
+    apiAjv.addSchema(openApiDocument, "openapi.json");
+    apiValidators.clear();
+}
+
+analysisConfig.onChange(refreshApiDocument);
+
+function apiValidator(pointer) {
+    if (!apiValidators.has(pointer)) {
+        apiValidators.set(pointer, apiAjv.compile({ $ref: `openapi.json${pointer}` }));
+    }
+    return apiValidators.get(pointer);
+}
+
+// "/items/3/text" → "items[3].text"
+function toFieldPath(segments) {
+    return segments.reduce((field, segment) =>
+        /^\d+$/.test(segment) ? `${field}[${segment}]` : field ? `${field}.${segment}` : segment, "");
+}
+
+// Ajv errors as { field, message }, one per field, with anyOf branches folded into their parent
+function describeApiErrors(errors) {
+    const anyOfPaths = new Set(errors.filter(error => error.keyword === "anyOf").map(error => error.instancePath));
+    const described = new Map();
+
+    for (const error of errors) {
+        const insideAnyOf = error.keyword !== "anyOf" && error.schemaPath.includes("/anyOf/");
+        if (insideAnyOf && [...anyOfPaths].some(path => `${error.instancePath}/`.startsWith(`${path}/`))) continue;
+
+        const segments = error.instancePath.split("/").filter(Boolean);
+        if (error.keyword === "required") segments.push(error.params.missingProperty);
+        const field = toFieldPath(segments) || "body";
+        if (described.has(field)) continue;
+
+        let message;
+        if (error.keyword === "required") message = `Missing '${field}' in request body`;
+        else if (error.parentSchema?.["x-message"]) message = `'${field}' ${error.parentSchema["x-message"]}`;
+        else message = `'${field}' ${error.message}`;
+
+        described.set(field, { field, message });
+    }
+
+    return [...described.values()];
+}
+
+// Reject a request whose JSON body does not match its operation's schema.
+// The error names the first bad field; details list all of them.
+function validateBody(operationId) {
+    return (req, res, next) => {
+        const operation = apiOperations.find(op => op.operationId === operationId);
+        if (!operation?.operation.requestBody) return next(new Error(`No request body documented for ${operationId}`));
+
+        const validate = apiValidator(`${operation.pointer}/requestBody/content/application~1json/schema`);
+        if (validate(req.body ?? {})) return next();
+
+        const errors = describeApiErrors(validate.errors);
+        const error = new ValidationError(errors[0].message, { field: errors[0].field, errors });
+
+        logFailure("request failed validation", error, { fields: errors.map(e => e.field) });
+        res.status(400).json(buildErrorResponse(error, req.id));
+    };
+}
+
+// Check each JSON response against the documented one for its status (or "default")
+app.use((req, res, next) => {
+    if (!Config.VALIDATE_RESPONSES) return next();
+
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+        const operation = req.route && operationsByRoute.get(`${req.method} ${req.baseUrl}${req.route.path}`);
+        const responses = operation?.operation.responses;
+        const status = responses && (responses[res.statusCode] ? res.statusCode : responses.default ? "default" : null);
+        const content = status !== null && responses?.[status]?.content?.["application/json"];
+
+        if (content) {
+            const validate = apiValidator(`${operation.pointer}/responses/${status}/content/application~1json/schema`);
+            if (!validate(body)) {
+                const route = routeLabel(req);
+                responseValidationFailures.inc({ route });
+                logger.warn("response does not match the OpenAPI document", {
+                    status: res.statusCode,
+                    errors: validate.errors.slice(0, 5).map(error => `${error.instancePath || "/"} ${error.message}`)
+                });
+            }
+        }
+
+        return json(body);
+    };
+
+    next();
+});
+
+// Startup check that every served route is documented and every documented route is served
+function checkOpenApiCoverage() {
+    const served = new Set(app._router.stack
+        .filter(layer => layer.route)
+        .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${layer.route.path}`)));
+    const documented = new Set(operationsByRoute.keys());
+
+    const undocumented = [...served].filter(route => !documented.has(route));
+    const unserved = [...documented].filter(route => !served.has(route));
+
+    if (undocumented.length || unserved.length) {
+        logger.warn("routes and OpenAPI document differ", { undocumented, unserved });
+    }
+}
+
+app.get("/api/openapi.json", (req, res) => {
+    res.json(openApiDocument);
+});
+
+app.get("/api/docs", (req, res) => {
+    res.type("html").send(renderDocsPage("/api/openapi.json"));
+});
+
+// ========== HEALTH & STATUS ENDPOINTS ==========
+app.get("/", (req, res) => {
+    res.json({
+        name: "Sentiment Aura API",
+        version: API_VERSION,
+        status: "operational",
+        provider: providers.get(Config.PROVIDER).displayName,
+        model: providers.get(Config.PROVIDER).model,
+        environment: Config.NODE_ENV,
+        endpoints: Object.fromEntries([
+            ...apiOperations.map(({ method, path, summary, scope }) => [`${method} ${path}`, scope ? `${summary} (scope: ${scope})` : summary]),
+            ...Object.entries(openApiDocument["x-websockets"]).map(([path, { summary, scope }]) => [`WS ${path}`, `${summary} (scope: ${scope})`])
+        ]),
+        openapi: "/api/openapi.json",
+        docs: "/api/docs",
+        documentation: "https://github.com/bagwe-shubham1727/sentiment-aura"
+    });
+});
+
+// Readiness asks the default provider's upstream whether it answers, with a
+// metadata request rather than an analysis. Answers are cached for
+// HEALTH_PROBE_TTL, so a load balancer polling every few seconds reaches
+// the provider at most once per TTL; concurrent checks share one request.
+const upstreamProbes = new Map();
+
+async function probeUpstream(provider) {
+    if (!upstreamProbes.has(provider.name)) upstreamProbes.set(provider.name, { result: null, checkedAt: 0, pending: null });
+    const probe = upstreamProbes.get(provider.name);
+
+    if (probe.result && Date.now() - probe.checkedAt < Config.HEALTH_PROBE_TTL) {
+        return { ...probe.result, cached: true };
+    }
+
+    if (!probe.pending) {
+        const started = Date.now();
+
+        probe.pending = provider.probe()
+            .then(() => ({ ok: true }))
+            .catch(err => ({ ok: false, status: err.response?.status || "error", error: err.message }))
+            .then(outcome => {
+                probe.result = { ...outcome, latency_ms: Date.now() - started, checked_at: new Date().toISOString() };
+                probe.checkedAt = Date.now();
+                probe.pending = null;
+
+                if (!outcome.ok) logger.warn("upstream probe failed", { provider: provider.name, status: outcome.status, error: outcome.error });
+                return probe.result;
+            });
+    }
+
+    return { ...(await probe.pending), cached: false };
+}
+
+// healthy: the default provider is configured, its circuit is closed and
+// its upstream answers. A provider that is failing or recovering leaves the
+// server degraded (still ready, answering through the lexicon fallback) or,
+// with LEXICON_FALLBACK=false, unhealthy. A server that is shutting down is
+// unhealthy, so load balancers stop sending it traffic.
+async function checkReadiness() {
+    const provider = providers.get(Config.PROVIDER);
+    const checks = {
+        provider: { name: provider.name, configured: provider.isConfigured() },
+        analysis_config: { loaded: !!analysisConfig.current, version: analysisConfig.current?.version ?? null }
+    };
+
+    if (draining) {
+        checks.shutting_down = true;
+        return { status: "unhealthy", checks };
+    }
+
+    if (provider.breaker && checks.provider.configured) {
+        checks.circuit = provider.breaker.describe();
+        checks.upstream = await probeUpstream(provider);
+    }
+
+    const broken = !checks.provider.configured || !checks.analysis_config.loaded;
+    const impaired = ["open", "half_open"].includes(checks.circuit?.state) || checks.upstream?.ok === false;
+
+    let status = "healthy";
+    if (broken || (impaired && !Config.LEXICON_FALLBACK)) status = "unhealthy";
+    else if (impaired) status = "degraded";
+
+    return { status, checks };
+}
+
+// Liveness: the process is up and serving HTTP. It never looks at upstreams,
+// so a provider outage cannot get the server restarted.
+app.get("/api/health/live", (req, res) => {
+    res.json({
+        status: "healthy",
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime()
+    });
+});
+
+// Readiness: whether this server should receive traffic
+app.get("/api/health/ready", async (req, res) => {
+    const { status, checks } = await checkReadiness();
+
+    res.status(status === "unhealthy" ? 503 : 200).json({
+        status,
+        timestamp: new Date().toISOString(),
+        checks
+    });
+});
+
+// Both at once, for humans and older monitors
+app.get("/api/health", async (req, res) => {
+    const { status, checks } = await checkReadiness();
+
+    res.status(status === "unhealthy" ? 503 : 200).json({
+        status,
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime(),
+        checks: {
+            live: true,
+            ...checks,
+            environment: Config.NODE_ENV
+        }
+    });
+});
+
+app.get("/api/status", (req, res) => {
+    res.json({
+        status: "operational",
+        environment: Config.NODE_ENV,
+        debug: Config.DEBUG,
+        configuration: {
+            provider: providers.get(Config.PROVIDER).displayName,
+            model: providers.get(Config.PROVIDER).model,
+            api_key_configured: providers.get(Config.PROVIDER).isConfigured(),
+            deepgram_configured: !!Config.DEEPGRAM_API_KEY,
+            providers: describeProviders(),
+            lexicon_fallback: Config.LEXICON_FALLBACK,
+            context_window: Config.CONTEXT_WINDOW,
+            languages: SUPPORTED_LANGUAGES,
+            analysis_config: analysisConfig.describe(),
+            timeout: Config.API_TIMEOUT,
+            cors_origins: Config.FRONTEND_ORIGINS.length
+        },
+        system: {
+            node_version: process.version,
+            platform: process.platform,
+            memory: {
+                used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + "MB",
+                total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024) + "MB"
+            },
+            uptime: Math.round(process.uptime()) + "s"
+        },
+        sessions: {
+            live: liveSessions.size,
+            stored: sessionStore.sessions.size
+        },
+        rate_limit: rateLimiter.describe(),
+        cache: analysisCache.describe(),
+        auth: {
+            enabled: apiKeys.enabled,
+            keys: apiKeys.size,
+            anonymous_scopes: Config.ANONYMOUS_SCOPES
+        },
+        timestamp: new Date().toISOString()
+    });
+});
+
+// ========== ANALYSIS CACHE ==========
+// LRU cache of model analyses with a TTL and an optional file tier (CACHE_FILE)
+// that survives restarts. Keys cover the normalized text, provider, model,
+// language, prompt version and config hash. Concurrent identical requests
+// share one upstream call; lexicon fallbacks are never stored.
+function normalizeCacheText(text) {
+    return text
+        .normalize("NFKC")
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s']/gu, " ")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+// Only clean model answers are cached; defaulted fields deserve a fresh try next time
+function isCacheableResponse(response) {
+    return response?.success === true &&
+        response.metadata?.source === "model" &&
+        !response.metadata?.fallback &&
+        !response.metadata?.validation?.defaulted?.length;
+}
+
+class AnalysisCache {
+    constructor({ enabled, maxEntries, ttlMs, file }) {
+        this.enabled = enabled && maxEntries > 0;
+        this.maxEntries = maxEntries;
+        this.ttlMs = ttlMs;
+        this.file = file ? path.resolve(file) : null;
+        this.entries = new Map();
+        this.inflight = new Map();
+        this.saveTimer = null;
+        this.stats = { hits: 0, misses: 0, coalesced: 0, evictions: 0, expired: 0 };
+    }
+
+    // The config hash covers the prompts and thresholds, so editing them never serves old results
+    keyFor(text, provider, language = "en", promptVersion = null) {
+        const normalized = normalizeCacheText(text);
+        return crypto
+            .createHash("sha256")
+            .update([analysisConfig.hash, promptVersion ?? "", provider.name, provider.model, language, normalized].join("\u0000"))
+            .digest("hex");
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            this.stats.expired++;
+            this.scheduleSave();
+            return null;
+        }
+
+        // Re-insert to mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        entry.hits++;
+        return entry;
+    }
+
+    set(key, response, text) {
+        const { debug, ...stored } = response;
+        const now = Date.now();
+
+        this.entries.delete(key);
+        this.entries.set(key, {
+            response: structuredClone(stored),
+            text: normalizeCacheText(text).slice(0, 120),
+            createdAt: now,
+            expiresAt: now + this.ttlMs,
+            hits: 0
+        });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.stats.evictions++;
+        }
+        this.scheduleSave();
+    }
+
+    // Resolve from cache, join an identical in-flight call, or run compute().
+    // Returns { response, status } where status is "hit", "coalesced" or "miss".
+    async getOrCompute(key, text, compute) {
+        const cached = this.get(key);
+        if (cached) {
+            this.stats.hits++;
+            return { response: structuredClone(cached.response), status: "hit", cachedAt: cached.createdAt };
+        }
+
+        if (this.inflight.has(key)) {
+            this.stats.coalesced++;
+            return { response: structuredClone(await this.inflight.get(key)), status: "coalesced" };
+        }
+
+        this.stats.misses++;
+        const pending = compute();
+
+        // Waiters get a snapshot taken before the first caller decorates its copy.
+        // A failure reaches the first caller below; without waiters the shared
+        // promise would otherwise be an unhandled rejection and end the process.
+        const shared = pending.then(response => structuredClone(response));
+        shared.catch(() => { });
+        this.inflight.set(key, shared);
+
+        try {
+            const response = await pending;
+            if (isCacheableResponse(response)) this.set(key, response, text);
+            return { response, status: "miss" };
+        } finally {
+            this.inflight.delete(key);
+        }
+    }
+
+    delete(key) {
+        const deleted = this.entries.delete(key);
+        if (deleted) this.scheduleSave();
+        return deleted;
+    }
+
+    clear() {
+        const count = this.entries.size;
+        this.entries.clear();
+        this.scheduleSave();
+        return count;
+    }
+
+    describe() {
+        const lookups = this.stats.hits + this.stats.misses + this.stats.coalesced;
+        return {
+            enabled: this.enabled,
+            entries: this.entries.size,
+            max_entries: this.maxEntries,
+            ttl_ms: this.ttlMs,
+            file: this.file,
+            inflight: this.inflight.size,
+            ...this.stats,
+            hit_rate: lookups ? Number(((this.stats.hits + this.stats.coalesced) / lookups).toFixed(3)) : 0
+        };
+    }
+
+    list() {
+        return [...this.entries].map(([key, entry]) => ({
+            key,
+            text: entry.text,
+            provider: entry.response.metadata?.provider,
+            model: entry.response.data?.model,
+            hits: entry.hits,
+            created_at: new Date(entry.createdAt).toISOString(),
+            expires_at: new Date(entry.expiresAt).toISOString()
+        }));
+    }
+
+    load() {
+        if (!this.enabled || !this.file || !fs.existsSync(this.file)) return;
+
+        try {
+            const { entries = [] } = JSON.parse(fs.readFileSync(this.file, "utf8"));
+            const now = Date.now();
+
+            entries
+                .filter(([, entry]) => entry?.expiresAt > now)
+                .slice(-this.maxEntries)
+                .forEach(([key, entry]) => this.entries.set(key, entry));
+
+            logger.info("analysis cache loaded", { entries: this.entries.size, file: this.file });
+        } catch (err) {
+            logger.warn("ignoring unreadable cache file", { file: this.file, error: err.message });
+        }
+    }
+
+    // Writes are batched: at most one file write every few seconds
+    scheduleSave() {
+        if (!this.file || this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save().catch(err => logger.warn("cache save failed", { file: this.file, error: err.message }));
+        }, 5000);
+        this.saveTimer.unref();
+    }
+
+    // Write a batched save now instead of waiting for its timer
+    async flush() {
+        if (!this.saveTimer) return;
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        await this.save();
+    }
+
+    async save() {
+        if (!this.file) return;
+
+        const tmp = `${this.file}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify({ version: 1, entries: [...this.entries] }));
+        await fs.promises.rename(tmp, this.file);
+    }
+}
+
+const analysisCache = new AnalysisCache({
+    enabled: Config.CACHE_ENABLED,
+    maxEntries: Config.CACHE_MAX_ENTRIES,
+    ttlMs: Config.CACHE_TTL,
+    file: Config.CACHE_FILE
+});
+
+// Refresh per-request metadata on a response served from the cache
+function markCached(response, status, cachedAt) {
+    response.metadata.cache = status;
+    if (status !== "miss") {
+        response.metadata.timestamp = new Date().toISOString();
+    }
+    if (cachedAt) {
+        response.metadata.cached_at = new Date(cachedAt).toISOString();
+    }
+    return response;
+}
+
+// ========== SESSION STORE ==========
+// Sessions are kept as one JSON file per session in SESSIONS_DIR and mirrored
+// in memory. Writes for a session are serialized and atomic (tmp + rename),
+// so a crash never leaves a half-written file behind.
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function newSessionId() {
+    return `sess-${Date.now()}-${Math.random().toString(36).slice(2, 9)}`;
+}
+
+// Keep what a client needs to redraw the analysis; drop debug payloads
+function toStoredAnalysis(response) {
+    if (!response?.success) return null;
+    return { data: response.data, metadata: response.metadata };
+}
+
+class SessionStore {
+    constructor(dir) {
+        this.dir = path.resolve(dir);
+        this.sessions = new Map();
+        this.writes = new Map();
+    }
+
+    async load() {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+
+        for (const file of await fs.promises.readdir(this.dir)) {
+            if (!file.endsWith(".json")) continue;
+
+            try {
+                const session = JSON.parse(await fs.promises.readFile(path.join(this.dir, file), "utf8"));
+                if (SESSION_ID_PATTERN.test(session?.id)) this.sessions.set(session.id, session);
+            } catch (err) {
+                logger.warn("skipping unreadable session file", { file, error: err.message });
+            }
+        }
+
+        if (this.sessions.size) {
+            logger.info("sessions loaded", { sessions: this.sessions.size, dir: this.dir });
+        }
+    }
+
+    fileFor(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    // Queue a write of the session's latest state behind any pending write
+    persist(id) {
+        const previous = this.writes.get(id) || Promise.resolve();
+
+        const next = previous
+            .then(async () => {
+                const session = this.sessions.get(id);
+                const file = this.fileFor(id);
+
+                if (!session) {
+                    await fs.promises.rm(file, { force: true });
+                    return;
+                }
+
+                await fs.promises.mkdir(this.dir, { recursive: true });
+                await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(session, null, 2));
+                await fs.promises.rename(`${file}.tmp`, file);
+            })
+            .catch(err => logger.error("session write failed", { session_id: id, error: err.message }))
+            .finally(() => {
+                if (this.writes.get(id) === next) this.writes.delete(id);
+            });
+
+        this.writes.set(id, next);
+        return next;
+    }
+
+    async create({ id = newSessionId(), title = null, metadata = {} } = {}) {
+        const now = new Date().toISOString();
+        const session = { id, title, metadata, created_at: now, updated_at: now, segments: [] };
+
+        this.sessions.set(id, session);
+        await this.persist(id);
+        return session;
+    }
+
+    get(id) {
+        return this.sessions.get(id) || null;
+    }
+
+    summarize(session) {
+        const last = session.segments[session.segments.length - 1];
+        return {
+            session_id: session.id,
+            title: session.title,
+            created_at: session.created_at,
+            updated_at: session.updated_at,
+            segment_count: session.segments.length,
+            last_sentiment: last?.analysis?.data?.sentiment ?? null,
+            live: liveSessions.has(session.id)
+        };
+    }
+
+    list() {
+        return [...this.sessions.values()]
+            .sort((a, b) => b.updated_at.localeCompare(a.updated_at))
+            .map(session => this.summarize(session));
+    }
+
+    async appendSegment(id, { segment_id = null, text, timestamp, analysis = null }) {
+        const session = this.sessions.get(id);
+        if (!session) throw new NotFoundError(`Session '${id}' not found`, { session_id: id });
+
+        if (session.segments.length >= Config.SESSION_MAX_SEGMENTS) {
+            throw new ValidationError(`Session exceeds maximum of ${Config.SESSION_MAX_SEGMENTS} segments`, {
+                session_id: id,
+                max: Config.SESSION_MAX_SEGMENTS
+            });
+        }
+
+        const segment = {
+            index: session.segments.length,
+            segment_id,
+            text,
+            timestamp: timestamp || new Date().toISOString(),
+            analysis: toStoredAnalysis(analysis)
+        };
+
+        session.segments.push(segment);
+        session.updated_at = new Date().toISOString();
+        await this.persist(id);
+        return segment;
+    }
+
+    // Record the user's verdict on a segment's analysis (feeds the experiment report)
+    async correctSegment(id, index, { sentiment_label = null, sentiment = null, note = null }) {
+        const session = this.sessions.get(id);
+        if (!session) throw new NotFoundError(`Session '${id}' not found`, { session_id: id });
+
+        const segment = session.segments[index];
+        if (!segment) throw new NotFoundError(`Segment ${index} not found in session '${id}'`, { session_id: id, index });
+
+        segment.correction = { sentiment_label, sentiment, note, corrected_at: new Date().toISOString() };
+        session.updated_at = segment.correction.corrected_at;
+        await this.persist(id);
+        return segment;
+    }
+
+    async delete(id) {
+        if (!this.sessions.delete(id)) return false;
+        await this.persist(id);
+        return true;
+    }
+
+    // Resolves once every queued write has reached disk
+    async flush() {
+        await Promise.all([...this.writes.values()]);
+    }
+}
+
+const sessionStore = new SessionStore(Config.SESSIONS_DIR);
+
+// Throws ValidationError for malformed ids and NotFoundError for unknown ones
+function requireStoredSession(id, field = "session_id") {
+    if (typeof id !== "string" || !SESSION_ID_PATTERN.test(id)) {
+        throw new ValidationError(`'${field}' must be a session id`, { field });
+    }
+
+    const session = sessionStore.get(id);
+    if (!session) throw new NotFoundError(`Session '${id}' not found`, { session_id: id });
+    return session;
+}
+
+// Save a finished /process_text analysis into its session and tag the response
+async function persistToSession(sessionId, text, response) {
+    const segment = await sessionStore.appendSegment(sessionId, { text, analysis: response });
+    response.metadata.session_id = sessionId;
+    response.metadata.segment_index = segment.index;
+    return response;
+}
+
+// Ranked keyphrases across the whole session; segments keep the language
+// their analysis settled on, unanalyzed ones are detected again
+function sessionTopics(session, limit = 10) {
+    return rankSessionTopics(
+        session.segments.map(segment => ({
+            index: segment.index,
+            text: segment.text,
+            language: segment.analysis?.data?.language
+        })),
+        { limit }
+    );
+}
+
+// ========== PROMPT EXPERIMENTS ==========
+// With an experiment in the analysis config, traffic is split between prompt
+// versions (experiments.js). A stored session keeps the version it was first
+// given for as long as that experiment runs, even if the weights change;
+// callers without a session are assigned by API key, else by IP.
+const experimentTracker = new ExperimentTracker();
+
+function promptVersionFor({ stored = null, req = null } = {}) {
+    const { prompts, experiment } = settings();
+    if (!experiment) return prompts.default;
+
+    const assign = (key) => assignPromptVersion({ default: prompts.default, experiment }, key);
+
+    if (!stored) return assign(req ? rateLimitIdentities(req).at(-1) : null);
+
+    const kept = stored.experiment;
+    if (kept?.name !== experiment.name || !(experiment.variants[kept.prompt_version] > 0)) {
+        // Saved with the session's next write
+        stored.experiment = { name: experiment.name, prompt_version: assign(stored.id) };
+    }
+    return stored.experiment.prompt_version;
+}
+
+function describePromptRouting() {
+    const { prompts, experiment } = settings();
+    if (!experiment) return prompts.default;
+    return `experiment ${experiment.name} (${Object.entries(experiment.variants).map(([v, w]) => `${v}:${w}`).join(", ")})`;
+}
+
+// Tag a finished analysis with its prompt version and count its outcome
+function recordPromptOutcome(response, promptVersion) {
+    const { data, metadata } = response;
+    metadata.prompt_version = promptVersion;
+
+    experimentTracker.record(promptVersion, {
+        latencyMs: metadata.cache === "hit" || metadata.cache === "coalesced" ? null : metadata.processing_time,
+        confidence: data.confidence,
+        fallback: !!metadata.fallback,
+        parseFailed: isParseFailure(metadata.validation),
+        validation: metadata.validation
+    });
+}
+
+// ========== ANALYSIS PIPELINE ==========
+function buildShortTextResponse(text, provider) {
+    return {
+        success: true,
+        data: {
+            model: provider.model,
+            sentiment: 0.5,
+            sentiment_label: "neutral",
+            confidence: 0.5,
+            keywords: [],
+            aspects: [],
+            tone: "neutral",
+            emotions: emptyEmotions(),
+            ...affectFromEmotions(emptyEmotions()),
+            short_summary: text
+        },
+        metadata: {
+            timestamp: new Date().toISOString(),
+            processing_time: null,
+            provider: provider.name,
+            note: "Text too short for meaningful analysis"
+        }
+    };
+}
+
+// A requested language wins; otherwise it is detected from the text
+function resolveLanguage(text, requested) {
+    if (requested) return { language: requested, source: "request" };
+    return { ...detectLanguage(text), source: "detected" };
+}
+
+function applyLanguage(response, resolved) {
+    response.data.language = resolved.language;
+    response.metadata.language = resolved;
+    return response;
+}
+
+// Analyze already-validated text and return the success envelope.
+// Shared by the single, batch and streaming endpoints. Contextual analyses
+// bypass the cache: the same words mean different things in different exchanges.
+// options.language is a validated language code, or null to detect it.
+async function analyzeText(text, provider, options = {}) {
+    const startTime = Date.now();
+    const resolved = resolveLanguage(text, options.language);
+    const promptVersion = provider.usesPrompts ? resolvePromptVersion(options.promptVersion) : null;
+    options = { ...options, language: resolved.language, promptVersion };
+
+    let response;
+
+    // Special case: very short text
+    if (text.length < 3) {
+        shortTextHits.inc();
+        response = buildShortTextResponse(text, provider);
+    } else if (!analysisCache.enabled || hasContext(options.context)) {
+        response = await analyzeWithFallback(provider, text, options);
+    } else {
+        const key = analysisCache.keyFor(text, provider, options.language, promptVersion);
+        const result = await analysisCache.getOrCompute(key, text, () => analyzeWithFallback(provider, text, options));
+        response = markCached(result.response, result.status, result.cachedAt);
+    }
+
+    applyLanguage(response, resolved);
+    response.metadata.processing_time = Date.now() - startTime;
+    if (promptVersion && text.length >= 3) recordPromptOutcome(response, promptVersion);
+    return response;
+}
+
+// ========== METRICS ENDPOINT ==========
+const CACHE_COUNTERS = {
+    hits: "Analysis cache hits",
+    misses: "Analysis cache misses",
+    coalesced: "Requests that joined an identical in-flight analysis",
+    evictions: "Analysis cache entries evicted by the LRU limit",
+    expired: "Analysis cache entries dropped after their TTL"
+};
+
+Object.entries(CACHE_COUNTERS).forEach(([stat, help]) => {
+    metrics.collector(`cache_${stat}_total`, "counter", help, () => [[{}, analysisCache.stats[stat]]]);
+});
+
+metrics.collector("cache_entries", "gauge", "Entries in the analysis cache", () => [[{}, analysisCache.entries.size]]);
+metrics.collector("rate_limit_decisions_total", "counter", "Rate limit checks by outcome", () => [
+    [{ outcome: "allowed" }, rateLimiter.allowed],
+    [{ outcome: "rejected" }, rateLimiter.rejected]
+]);
+metrics.collector("sessions", "gauge", "Sessions by state (stored on disk, live on a socket)", () => [
+    [{ state: "stored" }, sessionStore.sessions.size],
+    [{ state: "live" }, liveSessions.size]
+]);
+metrics.collector("analysis_config_info", "gauge", "The analysis config in effect", () => [
+    [{ version: analysisConfig.current.version, hash: analysisConfig.hash }, 1]
+]);
+metrics.collector("circuit_breaker_state", "gauge", "1 for each provider's current circuit state (closed, half_open, open)", () =>
+    [...circuitBreakers].flatMap(([provider, breaker]) =>
+        CIRCUIT_STATES.map(state => [{ provider, state }, breaker.state === state ? 1 : 0])
+    )
+);
+metrics.collector("circuit_breaker_rejections_total", "counter", "Provider calls refused by an open circuit, by provider", () =>
+    [...circuitBreakers].map(([provider, breaker]) => [{ provider }, breaker.rejected])
+);
+metrics.collector("process_resident_memory_bytes", "gauge", "Resident memory size in bytes", () => [[{}, process.memoryUsage().rss]], { prefixed: false });
+metrics.collector("nodejs_heap_used_bytes", "gauge", "V8 heap in use in bytes", () => [[{}, process.memoryUsage().heapUsed]], { prefixed: false });
+metrics.collector("process_uptime_seconds", "gauge", "Seconds since the process started", () => [[{}, Math.round(process.uptime())]], { prefixed: false });
+
+app.get("/metrics", requireScope("metrics"), (req, res) => {
+    res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+    res.send(metrics.render());
+});
+
+// ========== ANALYSIS CONFIG ENDPOINT ==========
+// Read-only: edit ANALYSIS_CONFIG_FILE to change it
+app.get("/api/config", requireScope("admin"), (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            ...analysisConfig.describe(),
+            config: analysisConfig.current
+        },
+        metadata: {
+            timestamp: new Date().toISOString()
+        }
+    });
+});
+
+// ========== EXPERIMENT REPORT ==========
+// Outcomes since startup per prompt version, joined with stored corrections
+app.get("/api/experiments/report", requireScope("admin"), (req, res) => {
+    const { prompts, experiment } = settings();
+
+    res.json({
+        success: true,
+        data: {
+            experiment,
+            default_version: prompts.default,
+            since: experimentTracker.since,
+            variants: experimentTracker.report(
+                Object.keys(prompts.versions),
+                summarizeCorrections(sessionStore.sessions.values())
+            )
+        },
+        metadata: {
+            timestamp: new Date().toISOString()
+        }
+    });
+});
+
+// ========== ADMIN ENDPOINTS ==========
+app.get("/api/admin/keys", requireScope("admin"), (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            enabled: apiKeys.enabled,
+            source: apiKeys.source,
+            anonymous_scopes: Config.ANONYMOUS_SCOPES,
+            keys: apiKeys.list()
+        },
+        metadata: {
+            timestamp: new Date().toISOString()
+        }
+    });
+});
+
+app.get("/api/admin/cache", requireScope("admin"), (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            stats: analysisCache.describe(),
+            entries: analysisCache.list()
+        },
+        metadata: {
+            timestamp: new Date().toISOString()
+        }
+    });
+});
+
+app.delete("/api/admin/cache", requireScope("admin"), (req, res) => {
+    const purged = analysisCache.clear();
+    res.json({ success: true, data: { purged }, metadata: { timestamp: new Date().toISOString() } });
+});
+
+app.delete("/api/admin/cache/:key", requireScope("admin"), (req, res) => {
+    if (!analysisCache.delete(req.params.key)) {
+        const error = new NotFoundError("Cache entry not found", { key: req.params.key });
+        return res.status(404).json(buildErrorResponse(error, req.id));
+    }
+    res.json({ success: true, data: { purged: 1 }, metadata: { timestamp: new Date().toISOString() } });
+});
+
+// ========== MAIN PROCESSING ENDPOINT ==========
+async function processTextHandler(req, res) {
+    try {
+        // Input validation
+        const text = validateTextInput(req.body?.text);
+        const provider = resolveProvider(req.body?.provider);
+        const sessionId = req.body?.session_id;
+        let stored = null;
+
+        if (sessionId !== undefined) {
+            checkScope(req, "sessions:write");
+            stored = requireStoredSession(sessionId);
+        }
+
+        const context = resolveRequestContext(req.body?.context, stored);
+        const language = validateLanguageInput(req.body?.language);
+        const promptVersion = promptVersionFor({ stored, req });
+
+        // Call the selected provider (retries are handled per provider)
+        const response = await analyzeText(text, provider, { context, language, promptVersion });
+
+        if (sessionId !== undefined) {
+            await persistToSession(sessionId, text, response);
+        }
+
+        logger.debug("analysis completed", {
+            text,
+            provider: response.metadata.provider,
+            source: response.metadata.source,
+            cache: response.metadata.cache,
+            processing_time: response.metadata.processing_time
+        });
+
+        return res.json(response);
+
+    } catch (error) {
+        logFailure("analysis failed", error);
+        return res.status(error.statusCode || 500).json(buildErrorResponse(error, req.id));
+    }
+}
+
+// Register endpoint on both paths
+app.post("/process_text", requireScope("analyze"), validateBody("analyzeTextLegacy"), rateLimit(), processTextHandler);
+app.post("/api/process_text", requireScope("analyze"), validateBody("analyzeText"), rateLimit(), processTextHandler);
+
+// ========== STREAMING (SSE) ENDPOINT ==========
+// Like analyzeText, but reports fields through onField as soon as the model
+// produces them. Providers without streaming support answer in one piece.
+async function analyzeTextStreaming(text, provider, { signal, context = null, language = null, promptVersion = null, onField }) {
+    if (text.length < 3 || !provider.supportsStreaming) {
+        return analyzeText(text, provider, { context, language, promptVersion });
+    }
+
+    const startTime = Date.now();
+    const resolved = resolveLanguage(text, language);
+    promptVersion = resolvePromptVersion(promptVersion);
+    const cacheKey = analysisCache.enabled && !hasContext(context) ? analysisCache.keyFor(text, provider, resolved.language, promptVersion) : null;
+    let streamed = false;
+    let response;
+
+    // A cached answer needs no stream; the caller emits its fields in one go
+    const cached = cacheKey && analysisCache.get(cacheKey);
+    if (cached) {
+        analysisCache.stats.hits++;
+        response = markCached(structuredClone(cached.response), "hit", cached.createdAt);
+        applyLanguage(response, resolved);
+        response.metadata.processing_time = Date.now() - startTime;
+        recordPromptOutcome(response, promptVersion);
+        return response;
+    }
+
+    try {
+        response = await provider.analyzeStream(text, {
+            signal,
+            context,
+            language: resolved.language,
+            promptVersion,
+            onField: (key, value) => {
+                streamed = true;
+                onField(key, value);
+            }
+        });
+        response.metadata.provider = provider.name;
+
+        if (cacheKey) {
+            analysisCache.stats.misses++;
+            if (isCacheableResponse(response)) analysisCache.set(cacheKey, response, text);
+            markCached(response, "miss");
+        }
+    } catch (error) {
+        // Once partial fields reached the client we cannot swap engines mid-answer
+        if (streamed || signal?.aborted) throw error;
+        response = await lexiconFallback(provider, text, error, { context, language: resolved.language });
+    }
+
+    applyLanguage(response, resolved);
+    response.metadata.processing_time = Date.now() - startTime;
+    recordPromptOutcome(response, promptVersion);
+    return response;
+}
+
+// Maps streamed JSON fields onto the sentiment / keywords / aspects / emotions / summary SSE events.
+function createAnalysisEventEmitter(send, text) {
+    const sent = new Set();
+    const affect = {};
+    let tone = null;
+
+    const emit = (event, data) => {
+        if (sent.has(event)) return;
+        sent.add(event);
+        send(event, data);
+    };
+
+    return {
+        onField(key, value) {
+            if (key === "sentiment") {
+                const sentiment = normalizeSentiment(value);
+                emit("sentiment", { sentiment, sentiment_label: deriveSentimentLabel(sentiment) });
+            } else if (key === "keywords" && Array.isArray(value)) {
+                emit("keywords", { keywords: value.map(String).slice(0, 7) });
+            } else if (key === "aspects") {
+                const aspects = normalizeAspects(value, text, [], 0.5);
+                if (aspects.length > 0) emit("aspects", { aspects });
+            } else if (key === "tone") {
+                tone = String(value);
+            } else if (key === "emotions" || key === "arousal" || key === "dominance") {
+                affect[key] = value;
+
+                // Wait for all three so the event carries one consistent picture
+                const emotions = normalizeEmotions(affect.emotions);
+                if (emotions && "arousal" in affect && "dominance" in affect) {
+                    const derived = affectFromEmotions(emotions);
+                    emit("emotions", {
+                        emotions,
+                        arousal: normalizeUnit(affect.arousal) ?? derived.arousal,
+                        dominance: normalizeUnit(affect.dominance) ?? derived.dominance
+                    });
+                }
+            } else if (key === "short_summary") {
+                emit("summary", { short_summary: String(value), tone });
+            }
+        },
+
+        // Emit whatever the stream did not deliver, from the final normalized result
+        flush({ data }) {
+            emit("sentiment", { sentiment: data.sentiment, sentiment_label: data.sentiment_label });
+            emit("keywords", { keywords: data.keywords });
+            emit("aspects", { aspects: data.aspects });
+            emit("emotions", { emotions: data.emotions, arousal: data.arousal, dominance: data.dominance });
+            emit("summary", { short_summary: data.short_summary, tone: data.tone });
+        }
+    };
+}
+
+async function processTextStreamHandler(req, res) {
+    let text;
+    let provider;
+    let context;
+    let language;
+    let promptVersion;
+
+    // Validation failures are reported as plain JSON before the stream opens
+    try {
+        text = validateTextInput(req.body?.text);
+        provider = resolveProvider(req.body?.provider);
+        let stored = null;
+
+        if (req.body?.session_id !== undefined) {
+            checkScope(req, "sessions:write");
+            stored = requireStoredSession(req.body.session_id);
+        }
+
+        context = resolveRequestContext(req.body?.context, stored);
+        language = validateLanguageInput(req.body?.language);
+        promptVersion = promptVersionFor({ stored, req });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json(buildErrorResponse(error, req.id));
+    }
+
+    res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no"
+    });
+
+    let sequence = 0;
+    const send = (event, data) => {
+        if (res.writableEnded) return;
+        res.write(`id: ${req.id}:${sequence++}\nevent: ${event}\ndata: ${JSON.stringify({ requestId: req.id, ...data })}\n\n`);
+    };
+
+    const controller = new AbortController();
+    res.on("close", () => controller.abort());
+
+    const events = createAnalysisEventEmitter(send, text);
+    send("accepted", {
+        provider: provider.name,
+        model: provider.model,
+        streaming: provider.supportsStreaming
+    });
+
+    try {
+        const response = await analyzeTextStreaming(text, provider, {
+            signal: controller.signal,
+            context,
+            language,
+            promptVersion,
+            onField: events.onField
+        });
+
+        if (req.body?.session_id !== undefined) {
+            await persistToSession(req.body.session_id, text, response);
+        }
+
+        events.flush(response);
+        send("done", response);
+
+    } catch (error) {
+        if (controller.signal.aborted) return;
+
+        logFailure("stream failed", error);
+        send("error", buildErrorResponse(error, req.id));
+    } finally {
+        res.end();
+    }
+}
+
+app.post("/process_text/stream", requireScope("analyze"), validateBody("analyzeTextStreamLegacy"), rateLimit(), processTextStreamHandler);
+app.post("/api/process_text/stream", requireScope("analyze"), validateBody("analyzeTextStream"), rateLimit(), processTextStreamHandler);
+
+// ========== DEEPGRAM TOKEN ENDPOINT ==========
+// Issues a short-lived Deepgram access token (usage:write scope) so the
+// browser can open its own transcription socket without ever seeing the key.
+async function deepgramTokenHandler(req, res) {
+    try {
+        if (!Config.DEEPGRAM_API_KEY) {
+            throw new APIError("Deepgram is not configured on this server", 503, { missing: "DEEPGRAM_API_KEY" });
+        }
+
+        let grant;
+        const stopTimer = upstreamDuration.startTimer();
+        try {
+            ({ data: grant } = await axios.post(
+                `${Config.DEEPGRAM_API_URL}/v1/auth/grant`,
+                { ttl_seconds: Config.DEEPGRAM_TOKEN_TTL },
+                {
+                    headers: {
+                        "Content-Type": "application/json",
+                        Authorization: `Token ${Config.DEEPGRAM_API_KEY}`
+                    },
+                    timeout: Config.API_TIMEOUT
+                }
+            ));
+            stopTimer({ provider: "deepgram" });
+            upstreamRequests.inc({ provider: "deepgram", status: 200 });
+        } catch (err) {
+            const status = err?.response?.status || "error";
+            stopTimer({ provider: "deepgram" });
+            upstreamRequests.inc({ provider: "deepgram", status });
+            upstreamFailures.inc({ provider: "deepgram", status });
+            throw new DeepgramAPIError(
+                `Deepgram token grant failed: ${err?.response?.data?.err_msg || err.message}`,
+                err?.response?.status >= 500 || !err?.response ? 502 : err.response.status,
+                { originalError: err?.response?.data }
+            );
+        }
+
+        res.setHeader("Cache-Control", "no-store");
+        return res.json({
+            success: true,
+            data: {
+                access_token: grant.access_token,
+                expires_in: grant.expires_in ?? Config.DEEPGRAM_TOKEN_TTL,
+                scheme: "bearer"
+            },
+            metadata: {
+                timestamp: new Date().toISOString()
+            }
+        });
+
+    } catch (error) {
+        logFailure("deepgram token request failed", error);
+        return res.status(error.statusCode || 500).json(buildErrorResponse(error, req.id));
+    }
+}
+
+app.post("/api/deepgram/token", requireScope("transcribe"), rateLimit(), deepgramTokenHandler);
+
+// ========== BATCH PROCESSING ENDPOINT ==========
+// The shape is checked against the OpenAPI schema; ids must also be unique
+function validateBatchInput(items) {
+    const seen = new Set();
+
+    return items.map((item, index) => {
+        const id = item.id ?? index;
+
+        if (seen.has(String(id))) {
+            throw new ValidationError(`Duplicate id '${id}' in 'items'`, {
+                field: `items[${index}].id`
+            });
+        }
+        seen.add(String(id));
+
+        return { id, text: item.text, language: item.language };
+    });
+}
+
+// Runs fn over items with at most `limit` calls in flight, preserving order.
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+    await Promise.all(workers);
+
+    return results;
+}
+
+async function processBatchHandler(req, res) {
+    const startTime = Date.now();
+
+    try {
+        const items = validateBatchInput(req.body?.items);
+        const provider = resolveProvider(req.body?.provider);
+        const batchLanguage = validateLanguageInput(req.body?.language);
+        const retryBudget = new RetryBudget(Config.BATCH_RETRY_BUDGET);
+        const promptVersion = promptVersionFor({ req });
+
+        const results = await mapWithConcurrency(items, Math.max(1, Config.BATCH_CONCURRENCY), async ({ id, text, language }) => {
+            try {
+                const response = await analyzeText(validateTextInput(text), provider, {
+                    retryBudget,
+                    promptVersion,
+                    language: validateLanguageInput(language) ?? batchLanguage
+                });
+                return { id, ...response };
+            } catch (error) {
+                return { id, ...buildErrorResponse(error, req.id) };
+            }
+        });
+
+        const succeeded = results.filter(result => result.success).length;
+
+        logger.info("batch completed", {
+            items: results.length,
+            succeeded,
+            retries_used: retryBudget.used
+        });
+
+        return res.json({
+            success: true,
+            data: { results },
+            metadata: {
+                timestamp: new Date().toISOString(),
+                processing_time: Date.now() - startTime,
+                provider: provider.name,
+                total: results.length,
+                succeeded,
+                failed: results.length - succeeded,
+                retry_budget: {
+                    total: retryBudget.total,
+                    used: retryBudget.used
+                }
+            }
+        });
+
+    } catch (error) {
+        logFailure("batch failed", error);
+        return res.status(error.statusCode || 500).json(buildErrorResponse(error, req.id));
+    }
+}
+
+app.post("/api/process_batch", requireScope("analyze"), validateBody("analyzeBatch"), rateLimit(req => req.body.items.length), processBatchHandler);
+
+// ========== SESSIONS API ==========
+function sendSessionJson(res, status, data) {
+    return res.status(status).json({
+        success: true,
+        data,
+        metadata: {
+            timestamp: new Date().toISOString()
+        }
+    });
+}
+
+// Wraps a sessions route so thrown APIErrors become error envelopes
+function sessionRoute(handler) {
+    return async (req, res) => {
+        try {
+            await handler(req, res);
+        } catch (error) {
+            logFailure("session request failed", error);
+            if (error instanceof RateLimitError) sendRateLimitHeaders(res, error);
+            return res.status(error.statusCode || 500).json(buildErrorResponse(error, req.id));
+        }
+    };
+}
+
+app.get("/api/sessions", requireScope("sessions:read"), sessionRoute((req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const sessions = sessionStore.list();
+
+    sendSessionJson(res, 200, {
+        sessions: sessions.slice(offset, offset + limit),
+        total: sessions.length,
+        limit,
+        offset
+    });
+}));
+
+app.post("/api/sessions", requireScope("sessions:write"), validateBody("createSession"), sessionRoute(async (req, res) => {
+    const { title = null, metadata = {} } = req.body;
+
+    const session = await sessionStore.create({ title, metadata });
+    sendSessionJson(res, 201, { session });
+}));
+
+app.get("/api/sessions/:id", requireScope("sessions:read"), sessionRoute((req, res) => {
+    const session = requireStoredSession(req.params.id, "id");
+    sendSessionJson(res, 200, { session: { ...session, live: liveSessions.has(session.id) } });
+}));
+
+app.get("/api/sessions/:id/topics", requireScope("sessions:read"), sessionRoute((req, res) => {
+    const session = requireStoredSession(req.params.id, "id");
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    sendSessionJson(res, 200, {
+        session_id: session.id,
+        segment_count: session.segments.length,
+        topics: sessionTopics(session, limit)
+    });
+}));
+
+app.post("/api/sessions/:id/segments", requireScope("sessions:write"), validateBody("appendSessionSegment"), sessionRoute(async (req, res) => {
+    const stored = requireStoredSession(req.params.id, "id");
+
+    const text = validateTextInput(req.body?.text);
+    const { segment_id = null, timestamp, analyze = false } = req.body;
+
+    let analysis = null;
+
+    if (analyze === true) {
+        checkScope(req, "analyze");
+        const state = enforceRateLimit(rateLimitIdentities(req));
+        if (state) setRateLimitHeaders(res, state);
+        analysis = await analyzeText(text, resolveProvider(req.body?.provider), {
+            promptVersion: promptVersionFor({ stored }),
+            context: resolveRequestContext(req.body?.context, stored),
+            language: validateLanguageInput(req.body?.language)
+        });
+    }
+
+    const segment = await sessionStore.appendSegment(req.params.id, {
+        segment_id,
+        text,
+        timestamp: timestamp && new Date(timestamp).toISOString(),
+        analysis
+    });
+    sendSessionJson(res, 201, { segment });
+}));
+
+app.post("/api/sessions/:id/segments/:index/correction", requireScope("sessions:write"), validateBody("correctSessionSegment"), sessionRoute(async (req, res) => {
+    requireStoredSession(req.params.id, "id");
+
+    const index = Number(req.params.index);
+    if (!Number.isInteger(index) || index < 0) {
+        throw new ValidationError("'index' must be a non-negative integer", { field: "index" });
+    }
+
+    const segment = await sessionStore.correctSegment(req.params.id, index, req.body);
+    sendSessionJson(res, 200, { segment });
+}));
+
+app.delete("/api/sessions/:id", requireScope("sessions:write"), sessionRoute(async (req, res) => {
+    requireStoredSession(req.params.id, "id");
+
+    if (liveSessions.has(req.params.id)) {
+        throw new APIError("Session is live; close its socket before deleting it", 409, { session_id: req.params.id });
+    }
+
+    await sessionStore.delete(req.params.id);
+    sendSessionJson(res, 200, { deleted: req.params.id });
+}));
+
+// ========== WEBSOCKET ROUTING ==========
+// Upgrade requests are matched by path to { scope, handler, drain? }; handlers receive
+// (socket, req). On shutdown, drain(socket) winds an open socket down (default: close it).
+const socketRoutes = new Map();
+const socketServers = new Set();
+
+function isAllowedSocketOrigin(origin) {
+    // Non-browser clients (internal tools, tests) send no Origin header
+    return !origin || Config.FRONTEND_ORIGINS.includes(origin);
+}
+
+export function attachSocketRoutes(server) {
+    const wss = new WebSocketServer({ noServer: true, maxPayload: 96 * 1024 });
+    socketServers.add(wss);
+
+    server.on("upgrade", (req, socket, head) => {
+        const { pathname } = new URL(req.url, "http://localhost");
+        const route = socketRoutes.get(pathname);
+
+        const reject = (status) => {
+            socket.write(`HTTP/1.1 ${status}\r\n\r\n`);
+            socket.destroy();
+        };
+
+        if (!route) return reject("404 Not Found");
+        if (draining) return reject("503 Service Unavailable");
+        if (!isAllowedSocketOrigin(req.headers.origin)) return reject("403 Forbidden");
+
+        // Express middleware does not run for upgrades, so tag and authenticate the request here
+        req.id = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+        try {
+            req.apiKey = authenticateRequest(req);
+            checkScope(req, route.scope);
+        } catch (error) {
+            return reject(error.statusCode === 403 ? "403 Forbidden" : "401 Unauthorized");
+        }
+
+        wss.handleUpgrade(req, socket, head, (ws) => {
+            ws.isAlive = true;
+            ws.drain = () => (route.drain ? route.drain(ws) : ws.close(1001, "Server shutting down"));
+            ws.on("pong", () => { ws.isAlive = true; });
+            route.handler(ws, req);
+        });
+    });
+
+    // Drop connections that stopped answering pings (e.g. a closed laptop lid)
+    const heartbeat = setInterval(() => {
+        wss.clients.forEach((ws) => {
+            if (!ws.isAlive) return ws.terminate();
+            ws.isAlive = false;
+            ws.ping();
+        });
+    }, Config.WS_HEARTBEAT_INTERVAL);
+    heartbeat.unref();
+
+    return wss;
+}
+
+function sendSocketMessage(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(message));
+    }
+}
+
+// ========== WEBSOCKET SESSION CHANNEL ==========
+// Protocol (JSON text frames):
+//   client → { type: "open", session_id?, provider?, context?,   server → { type: "opened", session_id, resumed }
+//              language? }
+//   client → { type: "segment", segment_id, text, is_final }     server → { type: "analysis", segment_id, ...envelope }
+//   client → { type: "state" }                                   server → { type: "state", session } (with topics)
+//   client → { type: "ping" }                                    server → { type: "pong" }
+// Final segments are analyzed one at a time, so results arrive in segment order,
+// and each one is saved with its analysis to the persistent session store.
+// Opening with an existing session_id resumes that stored session.
+// Each segment is analyzed with the session's recent segments as context
+// unless the client opened with context: false.
+// Failures are reported as { type: "error", segment_id?, ...errorEnvelope }.
+const liveSessions = new Map();
+
+function createLiveSession(id, provider, rateLimitIds, { useContext = true, language = null } = {}) {
+    return {
+        id,
+        provider,
+        useContext,
+        language,
+        rateLimitIds,
+        createdAt: new Date().toISOString(),
+        segments: [],
+        partial: null,
+        lastAnalysis: null,
+        errors: [],
+        queue: Promise.resolve()
+    };
+}
+
+function describeLiveSession(session) {
+    const stored = sessionStore.get(session.id);
+
+    return {
+        session_id: session.id,
+        provider: session.provider.name,
+        language: session.language,
+        created_at: session.createdAt,
+        segments: session.segments.map(({ segment_id, text, received_at, analysis }) => ({
+            segment_id,
+            text,
+            received_at,
+            analyzed: !!analysis
+        })),
+        partial: session.partial,
+        last_analysis: session.lastAnalysis,
+        topics: stored ? sessionTopics(stored) : [],
+        errors: session.errors
+    };
+}
+
+function recordSessionError(session, segmentId, error) {
+    session.errors.push({
+        segment_id: segmentId,
+        message: error.message,
+        type: error.name,
+        timestamp: new Date().toISOString()
+    });
+    session.errors = session.errors.slice(-50);
+}
+
+async function analyzeSessionSegment(ws, session, segment) {
+    try {
+        // Earlier segments are already stored: the queue runs one segment at a time
+        const stored = sessionStore.get(session.id);
+        const context = session.useContext ? buildSessionContext(stored) : null;
+        const response = await analyzeText(segment.text, session.provider, {
+            context,
+            language: session.language,
+            promptVersion: promptVersionFor({ stored })
+        });
+        segment.analysis = response;
+        session.lastAnalysis = { segment_id: segment.segment_id, ...response };
+
+        sendSocketMessage(ws, { type: "analysis", segment_id: segment.segment_id, ...response });
+    } catch (error) {
+        recordSessionError(session, segment.segment_id, error);
+        logFailure("segment analysis failed", error);
+
+        // Not stored: the client retries it (the frontend over HTTP with the
+        // session id), and that retry stores it, so it is never saved twice
+        sendSocketMessage(ws, { type: "error", segment_id: segment.segment_id, ...buildErrorResponse(error, session.id) });
+        return;
+    }
+
+    try {
+        await sessionStore.appendSegment(session.id, {
+            segment_id: segment.segment_id,
+            text: segment.text,
+            timestamp: segment.received_at,
+            analysis: segment.analysis
+        });
+    } catch (error) {
+        recordSessionError(session, segment.segment_id, error);
+        logger.error("could not save segment", { err: error });
+    }
+}
+
+// Resume a stored session or create a new one for this socket
+async function openLiveSession(message, req) {
+    const provider = resolveProvider(message.provider);
+    const language = validateLanguageInput(message.language);
+    let stored;
+
+    if (message.context !== undefined && typeof message.context !== "boolean") {
+        throw new ValidationError("'context' must be a boolean", { field: "context" });
+    }
+
+    // Opening a socket session stores it, new or resumed
+    checkScope(req, "sessions:write");
+
+    if (message.session_id !== undefined) {
+        stored = requireStoredSession(message.session_id);
+
+        if (liveSessions.has(stored.id)) {
+            throw new APIError(`Session '${stored.id}' is already live on another connection`, 409, {
+                session_id: stored.id
+            });
+        }
+    } else {
+        stored = await sessionStore.create();
+    }
+
+    return {
+        session: createLiveSession(stored.id, provider, rateLimitIdentities(req), {
+            useContext: message.context !== false,
+            language
+        }),
+        resumed: message.session_id !== undefined,
+        segmentCount: stored.segments.length
+    };
+}
+
+function handleSegmentMessage(ws, session, message) {
+    const segmentId = message.segment_id ?? session.segments.length;
+
+    if (typeof segmentId !== "string" && typeof segmentId !== "number") {
+        throw new ValidationError("'segment_id' must be a string or number", { field: "segment_id" });
+    }
+
+    // Interim text only updates state; it is not analyzed
+    if (!message.is_final) {
+        session.partial = typeof message.text === "string"
+            ? { segment_id: segmentId, text: message.text, updated_at: new Date().toISOString() }
+            : null;
+        return;
+    }
+
+    const text = validateTextInput(message.text);
+
+    if (session.segments.some(segment => segment.segment_id === segmentId)) {
+        throw new ValidationError(`Duplicate segment_id '${segmentId}'`, { field: "segment_id" });
+    }
+
+    if (session.segments.length >= Config.SESSION_MAX_SEGMENTS) {
+        throw new ValidationError(`Session exceeds maximum of ${Config.SESSION_MAX_SEGMENTS} segments`, {
+            field: "segment_id",
+            max: Config.SESSION_MAX_SEGMENTS
+        });
+    }
+
+    // Each final segment is one analysis, limited like a /process_text call
+    enforceRateLimit(session.rateLimitIds);
+
+    const segment = { segment_id: segmentId, text, received_at: new Date().toISOString(), analysis: null };
+    session.segments.push(segment);
+    session.partial = null;
+
+    sendSocketMessage(ws, { type: "segment.accepted", segment_id: segmentId });
+    // Logs from the analysis carry the session and segment instead of an HTTP request
+    const context = { route: "/ws/session", session_id: session.id, segment_id: segmentId };
+    session.queue = session.queue.then(() => requestContext.run(context, () => analyzeSessionSegment(ws, session, segment)));
+}
+
+function handleSessionSocket(ws, req) {
+    let session = null;
+    // Set while an "open" is being handled, so a second one cannot race it
+    let opening = false;
+
+    ws.on("message", async (raw, isBinary) => {
+        let message;
+
+        try {
+            if (isBinary) throw new ValidationError("Binary frames are not supported on this channel");
+
+            try {
+                message = JSON.parse(raw.toString());
+            } catch {
+                throw new ValidationError("Message must be valid JSON");
+            }
+
+            if (draining && ["open", "segment"].includes(message?.type)) {
+                throw new APIError("Server is shutting down; reconnect to continue", 503);
+            }
+
+            switch (message?.type) {
+                case "open": {
+                    if (session) throw new ValidationError("Session already open", { session_id: session.id });
+                    if (opening) throw new ValidationError("Session is already opening");
+
+                    let opened;
+                    opening = true;
+                    try {
+                        opened = await openLiveSession(message, req);
+                    } finally {
+                        opening = false;
+                    }
+
+                    // The client left while the session was being created; its close
+                    // handler already ran, so registering it now would keep it live forever
+                    if (ws.readyState !== WebSocket.OPEN) {
+                        logger.info("session socket closed before opening", { req_id: req.id, session_id: opened.session.id });
+                        break;
+                    }
+
+                    session = opened.session;
+                    ws.liveSession = session;
+                    liveSessions.set(session.id, session);
+                    sendSocketMessage(ws, {
+                        type: "opened",
+                        session_id: session.id,
+                        provider: session.provider.name,
+                        resumed: opened.resumed,
+                        segment_count: opened.segmentCount
+                    });
+                    logger.info("session socket opened", {
+                        req_id: req.id,
+                        route: "/ws/session",
+                        session_id: session.id,
+                        resumed: opened.resumed
+                    });
+                    break;
+                }
+
+                case "segment":
+                    if (!session) throw new ValidationError("Send { type: \"open\" } before any segments");
+                    handleSegmentMessage(ws, session, message);
+                    break;
+
+                case "state":
+                    if (!session) throw new ValidationError("No session open");
+                    sendSocketMessage(ws, { type: "state", session: describeLiveSession(session) });
+                    break;
+
+                case "ping":
+                    sendSocketMessage(ws, { type: "pong", timestamp: new Date().toISOString() });
+                    break;
+
+                default:
+                    throw new ValidationError(`Unknown message type '${message?.type}'`, {
+                        field: "type",
+                        allowed: ["open", "segment", "state", "ping"]
+                    });
+            }
+        } catch (error) {
+            if (session) recordSessionError(session, message?.segment_id, error);
+            sendSocketMessage(ws, {
+                type: "error",
+                segment_id: message?.segment_id,
+                ...buildErrorResponse(error, session?.id ?? req.id)
+            });
+        }
+    });
+
+    ws.on("close", () => {
+        if (session) {
+            liveSessions.delete(session.id);
+            logger.info("session socket closed", { route: "/ws/session", session_id: session.id, segments: session.segments.length });
+        }
+    });
+}
+
+// Finish the analyses already queued (they are saved as they complete), then close
+async function drainSessionSocket(ws) {
+    await ws.liveSession?.queue;
+    ws.close(1001, "Server shutting down");
+}
+
+socketRoutes.set("/ws/session", { scope: "analyze", handler: handleSessionSocket, drain: drainSessionSocket });
+
+// ========== DEEPGRAM AUDIO RELAY ==========
+// Proxies a browser's audio socket to Deepgram with the server-side key,
+// for deployments where not even a short-lived token may reach the client.
+// Only whitelisted listen parameters are forwarded from the client URL.
+const DEEPGRAM_RELAY_PARAMS = [
+    "model", "language", "encoding", "sample_rate", "channels", "interim_results",
+    "utterance_end_ms", "punctuate", "smart_format", "endpointing", "vad_events"
+];
+const RELAY_MAX_BUFFERED_FRAMES = 200;
+
+function buildDeepgramListenUrl(clientUrl) {
+    const clientParams = new URL(clientUrl, "http://localhost").searchParams;
+    const upstream = new URL(Config.DEEPGRAM_LISTEN_URL);
+
+    DEEPGRAM_RELAY_PARAMS.forEach((name) => {
+        if (clientParams.has(name)) upstream.searchParams.set(name, clientParams.get(name));
+    });
+
+    return upstream.toString();
+}
+
+// 1005/1006 are reserved and cannot be sent in a close frame
+function relayCloseCode(code) {
+    return code >= 1000 && code <= 4999 && code !== 1005 && code !== 1006 ? code : 1011;
+}
+
+function handleDeepgramRelaySocket(client, req) {
+    if (!Config.DEEPGRAM_API_KEY) {
+        sendSocketMessage(client, { type: "Error", message: "Deepgram is not configured on this server" });
+        client.close(1011, "Deepgram not configured");
+        return;
+    }
+
+    const upstream = new WebSocket(buildDeepgramListenUrl(req.url), {
+        headers: { Authorization: `Token ${Config.DEEPGRAM_API_KEY}` }
+    });
+    client.upstream = upstream;
+    const pending = [];
+
+    client.on("message", (data, isBinary) => {
+        if (upstream.readyState === WebSocket.OPEN) {
+            upstream.send(data, { binary: isBinary });
+        } else if (upstream.readyState === WebSocket.CONNECTING && pending.length < RELAY_MAX_BUFFERED_FRAMES) {
+            pending.push([data, isBinary]);
+        }
+    });
+
+    upstream.on("open", () => {
+        logger.debug("relay connected to deepgram", { req_id: req.id, route: "/ws/deepgram" });
+        pending.splice(0).forEach(([data, isBinary]) => upstream.send(data, { binary: isBinary }));
+    });
+
+    upstream.on("message", (data, isBinary) => {
+        if (client.readyState === WebSocket.OPEN) client.send(data, { binary: isBinary });
+    });
+
+    upstream.on("error", (err) => {
+        // Expected when the client hangs up before the upstream handshake finishes
+        if (client.readyState !== WebSocket.OPEN) return;
+
+        logger.error("relay upstream error", { req_id: req.id, route: "/ws/deepgram", error: err.message });
+        sendSocketMessage(client, { type: "Error", message: "Deepgram connection failed" });
+        if (client.readyState === WebSocket.OPEN) client.close(1011, "Upstream error");
+    });
+
+    upstream.on("close", (code, reason) => {
+        if (client.readyState === WebSocket.OPEN) client.close(relayCloseCode(code), reason);
+    });
+
+    client.on("close", (code, reason) => {
+        pending.length = 0;
+        if (upstream.readyState === WebSocket.OPEN) {
+            upstream.close(relayCloseCode(code), reason);
+        } else if (upstream.readyState === WebSocket.CONNECTING) {
+            upstream.terminate();
+        }
+    });
+}
+
+// Ask Deepgram for the final transcripts of the audio it has; its close then closes the client
+function drainRelaySocket(client) {
+    if (client.upstream?.readyState === WebSocket.OPEN) {
+        client.upstream.send(JSON.stringify({ type: "CloseStream" }));
+    } else {
+        client.close(1001, "Server shutting down");
+    }
+}
+
+socketRoutes.set("/ws/deepgram", { scope: "transcribe", handler: handleDeepgramRelaySocket, drain: drainRelaySocket });
+
+// ========== 404 HANDLER ==========
+app.use((req, res) => {
+    res.status(404).json({
+        success: false,
+        error: {
+            message: "Endpoint not found",
+            type: "NotFoundError",
+            statusCode: 404,
+            path: req.path,
+            method: req.method
+        },
+        timestamp: new Date().toISOString()
+    });
+});
+
+// ========== GLOBAL ERROR HANDLER ==========
+app.use((err, req, res, next) => {
+    const errorResponse = buildErrorResponse(err, req.id);
+
+    logger.error("unhandled error", { err });
+
+    res.status(err.statusCode || 500).json(errorResponse);
+});
+
+// ========== APP FACTORY ==========
+// Check the configuration and load API keys, the analysis config, the cache
+// file and stored sessions, then hand out the app. Routes are module
+// singletons, so every call resolves to the same app.
+let appReady = null;
+
+export function createApp() {
+    appReady ??= (async () => {
+        if (!validateConfig()) throw new Error("configuration validation failed");
+
+        checkOpenApiCoverage();
+        analysisCache.load();
+        await sessionStore.load();
+        return app;
+    })();
+    return appReady;
+}
+
+// ========== GRACEFUL SHUTDOWN ==========
+function openSocketCount() {
+    return [...socketServers].reduce((count, wss) => count + wss.clients.size, 0);
+}
+
+// Poll until condition() holds; false if the deadline passes first
+async function waitUntil(condition, deadline) {
+    while (!condition()) {
+        if (Date.now() >= deadline) return false;
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    return true;
+}
+
+// Stop taking work (readiness answers 503), let requests, SSE streams and
+// sockets finish, and cut off whatever is still open after timeoutMs.
+// State and logs are flushed either way; resolves to true if nothing was cut.
+let shutdownDone = null;
+
+export function shutdown(server, { timeoutMs = Config.SHUTDOWN_TIMEOUT } = {}) {
+    shutdownDone ??= (async () => {
+        const deadline = Date.now() + timeoutMs;
+        let listenerClosed = false;
+
+        draining = true;
+        analysisConfig.unwatch();
+        server.close(() => { listenerClosed = true; });
+
+        logger.info("draining before shutdown", {
+            requests: activeRequests,
+            sockets: openSocketCount(),
+            live_sessions: liveSessions.size,
+            timeout_ms: timeoutMs
+        });
+
+        socketServers.forEach(wss => wss.clients.forEach(ws => ws.drain()));
+
+        // Connections go idle as their last response ends
+        let drained = await waitUntil(() => {
+            server.closeIdleConnections();
+            return activeRequests === 0 && openSocketCount() === 0 && listenerClosed;
+        }, deadline);
+
+        if (!drained) {
+            logger.warn("shutdown deadline reached, closing what is left", {
+                requests: activeRequests,
+                sockets: openSocketCount()
+            });
+            socketServers.forEach(wss => wss.clients.forEach(ws => ws.terminate()));
+            server.closeAllConnections();
+        }
+
+        try {
+            await analysisCache.flush();
+            await sessionStore.flush();
+        } catch (err) {
+            logger.error("flushing state failed during shutdown", { error: err.message });
+            drained = false;
+        }
+
+        logger.info("shutdown complete", { drained });
+        await logger.flush();
+        return drained;
+    })();
+    return shutdownDone;
+}
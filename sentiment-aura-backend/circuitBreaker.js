@@ -0,0 +1,115 @@
+// circuitBreaker.js
+// Circuit breaker for an upstream provider. It only counts; callers decide what a
+// failure is and what to do when a call is refused.
+
+export const STATES = ["closed", "half_open", "open"];
+
+// closed: calls go through, and `failureThreshold` failures among the last `window`
+// calls open the circuit (0 disables the breaker). open: calls are refused until
+// `openMs` has passed. half_open: `halfOpenRequests` trial calls go through; one
+// success closes the circuit, one failure opens it again.
+export class CircuitBreaker {
+    constructor({ name, failureThreshold = 5, window = 10, openMs = 30000, halfOpenRequests = 1, onStateChange = () => { } }) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.window = Math.max(window, failureThreshold);
+        this.openMs = openMs;
+        this.halfOpenRequests = halfOpenRequests;
+        this.onStateChange = onStateChange;
+
+        this.state = "closed";
+        this.outcomes = [];
+        this.openedAt = null;
+        this.trials = 0;
+        this.changedAt = new Date().toISOString();
+        this.rejected = 0;
+    }
+
+    get enabled() {
+        return this.failureThreshold > 0;
+    }
+
+    get failures() {
+        return this.outcomes.filter(ok => !ok).length;
+    }
+
+    // Milliseconds until an open circuit lets a trial call through
+    get retryAfterMs() {
+        return this.state === "open" ? Math.max(0, this.openedAt + this.openMs - Date.now()) : 0;
+    }
+
+    transition(to) {
+        if (this.state === to) return;
+        const from = this.state;
+
+        this.state = to;
+        this.changedAt = new Date().toISOString();
+        this.openedAt = to === "open" ? Date.now() : null;
+
+        // Listeners still see the failures that caused the change
+        this.onStateChange(to, from, this);
+
+        this.outcomes = [];
+        this.trials = 0;
+    }
+
+    // Ask before each call. A true answer in half_open takes a trial slot,
+    // which the call's outcome (success, failure or release) gives back.
+    allowRequest() {
+        if (!this.enabled) return true;
+
+        if (this.state === "open") {
+            if (this.retryAfterMs > 0) {
+                this.rejected++;
+                return false;
+            }
+            this.transition("half_open");
+        }
+
+        if (this.state === "half_open") {
+            if (this.trials >= this.halfOpenRequests) {
+                this.rejected++;
+                return false;
+            }
+            this.trials++;
+        }
+        return true;
+    }
+
+    recordSuccess() {
+        if (!this.enabled) return;
+        if (this.state === "half_open") return this.transition("closed");
+        this.remember(true);
+    }
+
+    recordFailure() {
+        if (!this.enabled) return;
+        if (this.state === "half_open") return this.transition("open");
+        if (this.state === "open") return;
+
+        this.remember(false);
+        if (this.failures >= this.failureThreshold) this.transition("open");
+    }
+
+    // The call ended without saying anything about the upstream (e.g. the client gave up)
+    release() {
+        if (this.state === "half_open" && this.trials > 0) this.trials--;
+    }
+
+    remember(ok) {
+        this.outcomes.push(ok);
+        if (this.outcomes.length > this.window) this.outcomes.shift();
+    }
+
+    describe() {
+        return {
+            state: this.enabled ? this.state : "disabled",
+            failures: this.failures,
+            calls: this.outcomes.length,
+            failure_threshold: this.failureThreshold,
+            retry_after_ms: this.retryAfterMs,
+            changed_at: this.changedAt,
+            rejected: this.rejected
+        };
+    }
+}
@@ -0,0 +1,69 @@
+// config.js
+// Server configuration, read from the environment (and .env) once at import.
+// app.js checks it (validateConfig) and prints the dev banner (printConfig).
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// ========== CONFIGURATION ==========
+export class Config {
+    static PORT = process.env.PORT || 3001;
+    static API_KEY = process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY;
+    static MODEL = process.env.GEMINI_MODEL || "gemini-2.5-flash";
+    static GEMINI_BASE_URL = (process.env.GEMINI_BASE_URL || "https://generativelanguage.googleapis.com/v1beta").replace(/\/+$/, "");
+    static PROVIDER = (process.env.ANALYSIS_PROVIDER || "gemini").toLowerCase();
+    static OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+    static OPENAI_BASE_URL = (process.env.OPENAI_BASE_URL || "https://api.openai.com/v1").replace(/\/+$/, "");
+    static OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
+    static LEXICON_FALLBACK = process.env.LEXICON_FALLBACK !== "false";
+    static SCHEMA_REPAIR = process.env.SCHEMA_REPAIR !== "false";
+    static OPENAI_RESPONSE_FORMAT = (process.env.OPENAI_RESPONSE_FORMAT || "json_schema").toLowerCase();
+    static BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS || "500");
+    static BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY || "4");
+    static BATCH_RETRY_BUDGET = parseInt(process.env.BATCH_RETRY_BUDGET || "10");
+    static BATCH_BODY_LIMIT = process.env.BATCH_BODY_LIMIT || "2mb";
+    static SESSION_MAX_SEGMENTS = parseInt(process.env.SESSION_MAX_SEGMENTS || "5000");
+    static WS_HEARTBEAT_INTERVAL = parseInt(process.env.WS_HEARTBEAT_INTERVAL || "30000");
+    static DEEPGRAM_API_KEY = process.env.DEEPGRAM_API_KEY;
+    static DEEPGRAM_API_URL = (process.env.DEEPGRAM_API_URL || "https://api.deepgram.com").replace(/\/+$/, "");
+    static DEEPGRAM_LISTEN_URL = process.env.DEEPGRAM_LISTEN_URL || "wss://api.deepgram.com/v1/listen";
+    static DEEPGRAM_TOKEN_TTL = parseInt(process.env.DEEPGRAM_TOKEN_TTL || "30");
+    static NODE_ENV = process.env.NODE_ENV || "development";
+    static DEBUG = process.env.DEBUG === "true";
+    static LOG_LEVEL = (process.env.LOG_LEVEL || (process.env.DEBUG === "true" ? "debug" : "info")).toLowerCase();
+    static LOG_FORMAT = (process.env.LOG_FORMAT || (process.env.NODE_ENV === "production" ? "json" : "pretty")).toLowerCase();
+    static LOG_TEXT = process.env.LOG_TEXT === "true";
+    static LOG_FILE = process.env.LOG_FILE;
+    static LOG_FILE_MAX_BYTES = parseInt(process.env.LOG_FILE_MAX_BYTES || String(10 * 1024 * 1024));
+    static LOG_FILE_MAX_FILES = parseInt(process.env.LOG_FILE_MAX_FILES || "5");
+    static VALIDATE_RESPONSES = process.env.VALIDATE_RESPONSES ? process.env.VALIDATE_RESPONSES === "true" : process.env.NODE_ENV !== "production";
+    static API_TIMEOUT = parseInt(process.env.API_TIMEOUT || "25000");
+    static CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || "5");
+    static CIRCUIT_WINDOW = parseInt(process.env.CIRCUIT_WINDOW || "10");
+    static CIRCUIT_OPEN_MS = parseInt(process.env.CIRCUIT_OPEN_MS || "30000");
+    static CIRCUIT_HALF_OPEN_REQUESTS = parseInt(process.env.CIRCUIT_HALF_OPEN_REQUESTS || "1");
+    static HEALTH_PROBE_TTL = parseInt(process.env.HEALTH_PROBE_TTL || "30000");
+    static HEALTH_PROBE_TIMEOUT = parseInt(process.env.HEALTH_PROBE_TIMEOUT || "3000");
+    static SHUTDOWN_TIMEOUT = parseInt(process.env.SHUTDOWN_TIMEOUT || "25000");
+    static RATE_LIMIT = parseInt(process.env.RATE_LIMIT || "100");
+    static RATE_LIMIT_WINDOW = parseInt(process.env.RATE_LIMIT_WINDOW || "60000");
+    static TRUST_PROXY = process.env.TRUST_PROXY === "true";
+    static API_KEYS_FILE = process.env.API_KEYS_FILE;
+    static CACHE_ENABLED = process.env.CACHE_ENABLED !== "false";
+    static CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES || "1000");
+    static CACHE_TTL = parseInt(process.env.CACHE_TTL || String(24 * 60 * 60 * 1000));
+    static CACHE_FILE = process.env.CACHE_FILE;
+    static SESSIONS_DIR = process.env.SESSIONS_DIR || "./data/sessions";
+    static ANALYSIS_CONFIG_FILE = process.env.ANALYSIS_CONFIG_FILE || "./analysis-config.json";
+    static ANALYSIS_CONFIG_POLL = parseInt(process.env.ANALYSIS_CONFIG_POLL || "2000");
+    static CONTEXT_WINDOW = parseInt(process.env.CONTEXT_WINDOW || "4");
+    static CONTEXT_SUMMARY_CHARS = parseInt(process.env.CONTEXT_SUMMARY_CHARS || "600");
+    static ANONYMOUS_SCOPES = (process.env.ANONYMOUS_SCOPES || "").split(",").map(s => s.trim()).filter(Boolean);
+
+    static FRONTEND_ORIGINS = [
+        "http://localhost:3000",
+        "http://localhost:5173",
+        "http://localhost:5174",
+        process.env.FRONTEND_URL,
+    ].filter(Boolean);
+}
@@ -0,0 +1,103 @@
+// errors.js
+// Error classes carry the HTTP status they map to; buildErrorResponse turns
+// any error into the error envelope every route answers with.
+import { Config } from "./config.js";
+
+// ========== CUSTOM ERROR CLASSES ==========
+export class APIError extends Error {
+    constructor(message, statusCode = 500, details = null) {
+        super(message);
+        this.name = this.constructor.name;
+        this.statusCode = statusCode;
+        this.details = details;
+        Error.captureStackTrace(this, this.constructor);
+    }
+}
+
+export class ValidationError extends APIError {
+    constructor(message, details = null) {
+        super(message, 400, details);
+    }
+}
+
+export class ProviderAPIError extends APIError {
+    constructor(message, statusCode = 500, details = null) {
+        super(message, statusCode, details);
+    }
+}
+
+export class GeminiAPIError extends ProviderAPIError {
+    constructor(message, statusCode = 500, details = null) {
+        super(message, statusCode, details);
+    }
+}
+
+// Refused without calling the provider because its circuit is open
+export class CircuitOpenError extends ProviderAPIError {
+    constructor(provider, retryAfter) {
+        super(`${provider} is unavailable (circuit open). Try again in ${retryAfter}s`, 503, { provider, retryAfter });
+        this.retryAfter = retryAfter;
+    }
+}
+
+export class DeepgramAPIError extends APIError {
+    constructor(message, statusCode = 502, details = null) {
+        super(message, statusCode, details);
+    }
+}
+
+export class NotFoundError extends APIError {
+    constructor(message, details = null) {
+        super(message, 404, details);
+    }
+}
+
+export class AuthError extends APIError {
+    constructor(message, statusCode = 401, details = null) {
+        super(message, statusCode, details);
+    }
+}
+
+export class RateLimitError extends APIError {
+    constructor(message, retryAfter, details = null, state = null) {
+        super(message, 429, { retryAfter, ...details });
+        this.retryAfter = retryAfter;
+        this.state = state;
+    }
+}
+
+export class ParseError extends APIError {
+    constructor(message, details = null) {
+        super(message, 500, details);
+    }
+}
+
+// ========== ERROR RESPONSE BUILDER ==========
+export function buildErrorResponse(error, requestId) {
+    const response = {
+        success: false,
+        error: {
+            message: error.message,
+            type: error.name,
+            statusCode: error.statusCode || 500,
+            requestId
+        },
+        timestamp: new Date().toISOString()
+    };
+
+    // Validation details name the offending fields, so clients always get them
+    if ((Config.DEBUG || error instanceof ValidationError) && error.details) {
+        response.error.details = error.details;
+    }
+
+    // Seconds until a retry can succeed (rate limits, open circuits)
+    if (error.retryAfter !== undefined) {
+        response.error.retryAfter = error.retryAfter;
+    }
+
+    if (Config.DEBUG && error.stack) {
+        response.error.stack = error.stack;
+    }
+
+    return response;
+}
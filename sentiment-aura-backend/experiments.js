@@ -0,0 +1,147 @@
+// experiments.js
+// Prompt A/B experiments: sticky version assignment and per-version outcome tracking
+
+import crypto from "crypto";
+
+// ========== ASSIGNMENT ==========
+// Pick a prompt version for a unit (a session, or a client without one). Hashing the
+// experiment name with the unit's key keeps a session on one variant throughout.
+export function assignPromptVersion({ default: fallback, experiment }, key) {
+    if (!experiment || !key) return fallback;
+
+    const variants = Object.entries(experiment.variants).filter(([, weight]) => weight > 0);
+    const total = variants.reduce((sum, [, weight]) => sum + weight, 0);
+    if (total === 0) return fallback;
+
+    const digest = crypto.createHash("sha256").update(`${experiment.name}\u0000${key}`).digest();
+    let point = digest.readUInt32BE(0) % total;
+
+    for (const [version, weight] of variants) {
+        if (point < weight) return version;
+        point -= weight;
+    }
+    return fallback;
+}
+
+// ========== TRACKER ==========
+const LATENCY_SAMPLES = 1000;
+const CONFIDENCE_BUCKETS = [0.2, 0.4, 0.6, 0.8, 1];
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+const round = (value, digits = 3) => (value === null ? null : Number(value.toFixed(digits)));
+
+function emptyStats() {
+    return {
+        analyses: 0,
+        model_answers: 0,
+        fallbacks: 0,
+        parse_failures: 0,
+        repaired: 0,
+        defaulted: 0,
+        latencies: [],
+        confidence_sum: 0,
+        confidence_buckets: CONFIDENCE_BUCKETS.map(() => 0)
+    };
+}
+
+// Per-version outcomes since startup: answers, parse failures, fallbacks, latency and confidence
+export class ExperimentTracker {
+    constructor() {
+        this.byVersion = new Map();
+        this.since = new Date().toISOString();
+    }
+
+    statsFor(version) {
+        if (!this.byVersion.has(version)) this.byVersion.set(version, emptyStats());
+        return this.byVersion.get(version);
+    }
+
+    // Record one finished analysis; latencyMs is null for answers served from the cache
+    record(version, { latencyMs, confidence, fallback, parseFailed, validation }) {
+        const stats = this.statsFor(version);
+
+        stats.analyses++;
+        if (fallback) stats.fallbacks++;
+        else stats.model_answers++;
+        if (parseFailed) stats.parse_failures++;
+        if (validation?.repaired.length) stats.repaired++;
+        if (validation?.defaulted.length) stats.defaulted++;
+
+        if (latencyMs !== null) {
+            stats.latencies.push(latencyMs);
+            if (stats.latencies.length > LATENCY_SAMPLES) stats.latencies.shift();
+        }
+
+        stats.confidence_sum += confidence;
+        stats.confidence_buckets[CONFIDENCE_BUCKETS.findIndex(le => confidence <= le)]++;
+    }
+
+    // Per-version report, listing `versions` even without traffic. User corrections
+    // live on stored session segments; `corrections` joins them in per version.
+    report(versions, corrections = new Map()) {
+        const all = [...new Set([...versions, ...this.byVersion.keys(), ...corrections.keys()])];
+
+        return all.map(version => {
+            const stats = this.byVersion.get(version) || emptyStats();
+            const sorted = [...stats.latencies].sort((a, b) => a - b);
+
+            return {
+                prompt_version: version,
+                analyses: stats.analyses,
+                model_answers: stats.model_answers,
+                fallbacks: stats.fallbacks,
+                parse_failures: stats.parse_failures,
+                parse_failure_rate: stats.analyses ? round(stats.parse_failures / stats.analyses) : null,
+                validation: { repaired: stats.repaired, defaulted: stats.defaulted },
+                latency_ms: {
+                    samples: sorted.length,
+                    mean: sorted.length ? Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length) : null,
+                    p50: percentile(sorted, 0.5),
+                    p95: percentile(sorted, 0.95)
+                },
+                confidence: {
+                    mean: stats.analyses ? round(stats.confidence_sum / stats.analyses) : null,
+                    buckets: CONFIDENCE_BUCKETS.map((le, i) => ({ le, count: stats.confidence_buckets[i] }))
+                },
+                corrections: corrections.get(version) || { count: 0, label_agreement: null, mean_sentiment_error: null }
+            };
+        });
+    }
+}
+
+// Summarize user corrections per prompt version from stored segments.
+export function summarizeCorrections(sessions) {
+    const totals = new Map();
+
+    for (const session of sessions) {
+        for (const segment of session.segments) {
+            const version = segment.analysis?.metadata?.prompt_version;
+            if (!segment.correction || !version) continue;
+
+            if (!totals.has(version)) totals.set(version, { count: 0, labels: 0, agreed: 0, scores: 0, error: 0 });
+            const total = totals.get(version);
+            const { data } = segment.analysis;
+            const { sentiment_label, sentiment } = segment.correction;
+
+            total.count++;
+            if (sentiment_label) {
+                total.labels++;
+                if (sentiment_label === data.sentiment_label) total.agreed++;
+            }
+            if (typeof sentiment === "number") {
+                total.scores++;
+                total.error += Math.abs(sentiment - data.sentiment);
+            }
+        }
+    }
+
+    return new Map([...totals].map(([version, total]) => [version, {
+        count: total.count,
+        label_agreement: total.labels ? round(total.agreed / total.labels) : null,
+        mean_sentiment_error: total.scores ? round(total.error / total.scores) : null
+    }]));
+}
@@ -0,0 +1,183 @@
+// keyphrases.js
+// Session-level keyphrase extraction: RAKE phrases, light stemming and TF-IDF
+
+import { detectLanguage, stopwordsFor, tokenize } from "./languages.js";
+
+// ========== CANDIDATES ==========
+const MAX_PHRASE_WORDS = 3;
+
+// Speech fillers that are never topics, on top of the stopwords
+const FILLERS = {
+    en: ["um", "uh", "umm", "hmm", "yeah", "yes", "okay", "like", "just", "really", "actually", "basically", "know", "mean", "gonna", "wanna", "kind", "sort", "thing", "things", "stuff", "lot", "what", "which", "who", "how", "why", "all", "some", "any", "can", "could", "would", "should", "will", "did", "does", "been", "being", "about", "into", "out", "up", "get", "got", "very", "too", "also", "now", "here", "its", "it's", "i'm", "don't", "that's", "these", "those", "his", "her", "him", "us", "me", "than", "when", "where", "while"],
+    es: ["eh", "pues", "bueno", "vale", "entonces", "cosa", "cosas", "algo", "otra", "otro", "vez", "veces"],
+    fr: ["euh", "ben", "bon", "bah", "alors", "voilà", "truc", "chose", "choses"],
+    de: ["äh", "ähm", "also", "halt", "eben", "naja", "ding", "sache", "sachen"],
+    hi: ["अच्छा", "मतलब", "वाला", "वाली", "वाले", "matlab", "accha", "acha", "wala"]
+};
+
+const BREAK_PATTERN = /[.,;:!?¿¡()[\]{}"“”«»…—–।]+|\s-\s/;
+
+// Keyed by the stopword set, so replacing a language's stopwords rebuilds its entry
+const stopSets = new WeakMap();
+
+function stopSetFor(language) {
+    const stopwords = stopwordsFor(language);
+    if (!stopSets.has(stopwords)) {
+        stopSets.set(stopwords, new Set([...stopwords, ...(FILLERS[language] || FILLERS.en)]));
+    }
+    return stopSets.get(stopwords);
+}
+
+// Split text into candidate phrases: runs of up to three content words between
+// stopwords, fillers and punctuation
+export function extractCandidates(text, language = "en") {
+    const stopwords = stopSetFor(language);
+    const phrases = [];
+
+    for (const fragment of (text || "").split(BREAK_PATTERN)) {
+        let run = [];
+
+        const flush = () => {
+            for (let i = 0; i < run.length; i += MAX_PHRASE_WORDS) {
+                phrases.push(run.slice(i, i + MAX_PHRASE_WORDS));
+            }
+            run = [];
+        };
+
+        for (const word of tokenize(fragment)) {
+            if (stopwords.has(word) || [...word].length <= 2 || /^\p{N}+$/u.test(word)) flush();
+            else run.push(word);
+        }
+        flush();
+    }
+
+    return phrases;
+}
+
+// ========== STEMMING ==========
+// Longest suffix first; a stem keeps at least MIN_STEM characters
+const SUFFIXES = {
+    en: ["ings", "ing", "ies", "ied", "es", "ed", "s"],
+    es: ["es", "s"],
+    fr: ["s", "x"],
+    de: ["en", "e", "n", "s"],
+    hi: []
+};
+
+const MIN_STEM = 3;
+
+// Reduce a word to a light stem. Not a full stemmer: it only folds the
+// common inflections that split one topic into several.
+export function stem(word, language = "en") {
+    for (const suffix of SUFFIXES[language] || SUFFIXES.en) {
+        if (word.endsWith(suffix) && [...word].length - [...suffix].length >= MIN_STEM) {
+            let base = word.slice(0, -suffix.length);
+
+            if (language === "en") {
+                if (suffix === "ies" || suffix === "ied") base += "y";
+                // "stopped" → "stopp" → "stop"
+                else if (/(ing|ed)$/.test(suffix) && /([b-df-hj-np-tv-z])\1$/.test(base) && !/(ll|ss|zz)$/.test(base)) base = base.slice(0, -1);
+                // "issues" → "issue", but "crashes" → "crash"
+                else if (suffix === "es" && !/(s|x|z|ch|sh)$/.test(base)) continue;
+                // "s" after "ss"/"us"/"is" is part of the word ("class", "status", "analysis")
+                else if (suffix === "s" && /(s|u|i)$/.test(base)) continue;
+            }
+
+            return base;
+        }
+    }
+
+    return word;
+}
+
+// ========== RANKING ==========
+function addOccurrence(phrases, stems, words, index) {
+    const key = stems.join(" ");
+
+    let entry = phrases.get(key);
+    if (!entry) {
+        entry = { key, stems, forms: new Map(), count: 0, seen: new Set(), first_seen: index, last_seen: index };
+        phrases.set(key, entry);
+    }
+
+    const form = words.join(" ");
+    entry.forms.set(form, (entry.forms.get(form) || 0) + 1);
+    entry.count++;
+    entry.seen.add(index);
+    entry.first_seen = Math.min(entry.first_seen, index);
+    entry.last_seen = Math.max(entry.last_seen, index);
+}
+
+// Rank the topics of a session. A phrase scores by its mean RAKE word score
+// (degree / frequency) times TF-IDF over the session's segments, so words said
+// in every segment sink. Phrases covered by a higher-ranked longer one are dropped.
+export function rankSessionTopics(segments, { limit = 10 } = {}) {
+    const phrases = new Map();
+    const wordFreq = new Map();
+    const wordDegree = new Map();
+
+    for (const segment of segments) {
+        const language = segment.language || detectLanguage(segment.text).language;
+
+        for (const words of extractCandidates(segment.text, language)) {
+            const stems = words.map(word => stem(word, language));
+
+            // RAKE: a word's degree counts the words it co-occurs with in phrases
+            for (const s of stems) {
+                wordFreq.set(s, (wordFreq.get(s) || 0) + 1);
+                wordDegree.set(s, (wordDegree.get(s) || 0) + stems.length);
+            }
+
+            for (let start = 0; start < stems.length; start++) {
+                for (let end = start + 1; end <= stems.length; end++) {
+                    addOccurrence(phrases, stems.slice(start, end), words.slice(start, end), segment.index);
+                }
+            }
+        }
+    }
+
+    // A phrase that only ever appears inside one longer phrase is that phrase
+    const absorbed = new Set();
+    for (const entry of phrases.values()) {
+        for (let start = 0; start < entry.stems.length; start++) {
+            for (let end = start + 1; end <= entry.stems.length; end++) {
+                if (end - start === entry.stems.length) continue;
+                const key = entry.stems.slice(start, end).join(" ");
+                if (phrases.get(key).count === entry.count) absorbed.add(key);
+            }
+        }
+    }
+
+    const documents = Math.max(1, segments.length);
+
+    const ranked = [...phrases.values()]
+        .filter(entry => !absorbed.has(entry.key))
+        .map(entry => {
+            const rake = entry.stems.reduce((sum, s) => sum + wordDegree.get(s) / wordFreq.get(s), 0) / entry.stems.length;
+            const idf = Math.log(1 + documents / entry.seen.size);
+            return { ...entry, raw: rake * entry.count * idf };
+        })
+        .sort((a, b) => b.raw - a.raw || b.stems.length - a.stems.length || b.count - a.count);
+
+    const topics = [];
+    for (const entry of ranked) {
+        if (topics.length >= limit) break;
+
+        // Skip "billing" once "billing page" is in, unless it also stands on its own more often
+        const covered = topics.some(topic => topic.stems.length > entry.stems.length
+            && ` ${topic.key} `.includes(` ${entry.key} `) && topic.count >= entry.count);
+        if (!covered) topics.push(entry);
+    }
+
+    const top = topics[0]?.raw || 1;
+
+    return topics.map(entry => ({
+        // The most common surface form stands for the stem
+        phrase: [...entry.forms.entries()].sort((a, b) => b[1] - a[1])[0][0],
+        score: Number((entry.raw / top).toFixed(3)),
+        count: entry.count,
+        segments: entry.seen.size,
+        first_seen: entry.first_seen,
+        last_seen: entry.last_seen
+    }));
+}
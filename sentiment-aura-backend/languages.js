@@ -0,0 +1,130 @@
+// languages.js
+// Language detection, tokenization and stopwords for English, Spanish, French, German and Hindi
+
+// ========== STOPWORDS ==========
+const ENGLISH = [
+    "the", "and", "a", "an", "in", "on", "at", "for", "to", "of", "is", "are",
+    "was", "were", "it", "this", "that", "with", "as", "by", "from", "be",
+    "have", "has", "had", "i", "we", "you", "they", "he", "she", "them",
+    "but", "or", "not", "so", "if", "then", "there", "their", "our", "my", "your"
+];
+
+const SPANISH = [
+    "el", "la", "los", "las", "un", "una", "unos", "unas", "y", "o", "pero", "de",
+    "del", "al", "en", "con", "por", "para", "que", "es", "son", "fue", "era",
+    "está", "están", "estoy", "ser", "estar", "muy", "más", "menos", "no", "sí",
+    "se", "lo", "le", "les", "me", "te", "nos", "mi", "mis", "tu", "tus", "su",
+    "sus", "yo", "tú", "él", "ella", "ellos", "ellas", "nosotros", "este", "esta",
+    "esto", "ese", "esa", "eso", "como", "cuando", "donde", "porque", "también",
+    "hay", "tengo", "tiene", "ya", "todo", "todos"
+];
+
+const FRENCH = [
+    "le", "la", "les", "un", "une", "des", "et", "ou", "mais", "de", "du", "au",
+    "aux", "en", "dans", "sur", "avec", "pour", "par", "que", "qui", "est", "sont",
+    "était", "être", "avoir", "ai", "as", "a", "ont", "ne", "pas", "plus", "très",
+    "je", "tu", "il", "elle", "nous", "vous", "ils", "elles", "on", "me", "te",
+    "se", "mon", "ma", "mes", "ton", "ta", "tes", "son", "sa", "ses", "ce", "cette",
+    "ces", "cela", "ça", "comme", "quand", "où", "parce", "aussi", "y", "c'est",
+    "j'ai", "suis", "tout", "tous"
+];
+
+const GERMAN = [
+    "der", "die", "das", "den", "dem", "des", "ein", "eine", "einen", "einem",
+    "einer", "und", "oder", "aber", "in", "im", "an", "am", "auf", "mit", "für",
+    "von", "vom", "zu", "zum", "zur", "bei", "ist", "sind", "war", "waren", "sein",
+    "haben", "hat", "habe", "nicht", "kein", "keine", "sehr", "mehr", "ich", "du",
+    "er", "sie", "es", "wir", "ihr", "mich", "mir", "dich", "sich", "mein", "meine",
+    "dein", "unser", "dieser", "diese", "dieses", "wie", "wenn", "wo", "weil",
+    "auch", "noch", "schon", "so", "dass", "ja", "nur"
+];
+
+// Devanagari function words plus the most common romanized ones
+const HINDI = [
+    "का", "की", "के", "को", "में", "से", "पर", "और", "या", "लेकिन", "है", "हैं",
+    "था", "थी", "थे", "हूँ", "हूं", "हो", "नहीं", "ना", "यह", "वह", "ये", "वो",
+    "मैं", "हम", "तुम", "आप", "वे", "मेरा", "मेरी", "मेरे", "हमारा", "उसका", "उसकी",
+    "इस", "उस", "कि", "जो", "भी", "तो", "ही", "बहुत", "कुछ", "सब", "एक", "क्या",
+    "hai", "hain", "tha", "thi", "nahi", "nahin", "kya", "aur", "mera", "meri",
+    "hoon", "hum", "aap", "yeh", "woh", "bahut", "kuch", "bhi", "toh", "ki", "ka", "ke"
+];
+
+export const LANGUAGES = {
+    en: { name: "English", stopwords: new Set(ENGLISH), markers: null },
+    es: { name: "Spanish", stopwords: new Set(SPANISH), markers: /[ñ¿¡]/gi },
+    fr: { name: "French", stopwords: new Set(FRENCH), markers: /[çœèêëîïûù]/gi },
+    de: { name: "German", stopwords: new Set(GERMAN), markers: /[ßäöü]/gi },
+    hi: { name: "Hindi", stopwords: new Set(HINDI), markers: null }
+};
+
+export const SUPPORTED_LANGUAGES = Object.keys(LANGUAGES);
+
+const DEFAULT_LANGUAGE = "en";
+const MARKER_WEIGHT = 0.5;
+
+// ========== TOKENIZATION ==========
+// Split text into lowercased words. Letters and combining marks from any
+// script count (so "está", "größer" and "बहुत" survive intact); inner
+// apostrophes and hyphens are kept ("c'est", "well-known").
+export function tokenize(text) {
+    return ((text || "").normalize("NFC").match(/[\p{L}\p{M}\p{N}]+(?:['’-][\p{L}\p{M}\p{N}]+)*/gu) || [])
+        .map(word => word.replace(/’/g, "'").toLowerCase());
+}
+
+export function stopwordsFor(language) {
+    return (LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE]).stopwords;
+}
+
+const BUILT_IN_STOPWORDS = Object.fromEntries(SUPPORTED_LANGUAGES.map(language => [language, LANGUAGES[language].stopwords]));
+
+// Replace the stopword lists of some languages (from the analysis config).
+// Languages left out go back to their built-in lists.
+export function configureStopwords(overrides = {}) {
+    for (const language of SUPPORTED_LANGUAGES) {
+        LANGUAGES[language].stopwords = overrides[language]
+            ? new Set(overrides[language].map(word => word.toLowerCase()))
+            : BUILT_IN_STOPWORDS[language];
+    }
+}
+
+// Map "es", "es-MX" or "ES" onto a supported language code.
+// Returns null for anything unsupported.
+export function normalizeLanguageCode(code) {
+    if (typeof code !== "string") return null;
+    const base = code.trim().toLowerCase().split(/[-_]/)[0];
+    return LANGUAGES[base] ? base : null;
+}
+
+// ========== DETECTION ==========
+// Guess the language of a piece of text: Devanagari script means Hindi, otherwise
+// stopword hits (plus letters only one language uses, like ñ or ß) pick the winner.
+// Short or ambiguous text falls back to English with low confidence.
+export function detectLanguage(text) {
+    const letters = (text || "").match(/\p{L}/gu) || [];
+    if (letters.length === 0) return { language: DEFAULT_LANGUAGE, confidence: 0 };
+
+    const devanagari = (text.match(/\p{Script=Devanagari}/gu) || []).length;
+    if (devanagari / letters.length > 0.3) {
+        return { language: "hi", confidence: Number(Math.min(1, 0.5 + devanagari / letters.length / 2).toFixed(3)) };
+    }
+
+    const words = tokenize(text);
+    const scores = SUPPORTED_LANGUAGES.map(language => {
+        const { stopwords, markers } = LANGUAGES[language];
+        const hits = words.filter(word => stopwords.has(word)).length;
+        const marks = markers ? (text.match(markers) || []).length : 0;
+        return { language, score: hits + marks * MARKER_WEIGHT };
+    }).sort((a, b) => b.score - a.score);
+
+    const [best, second] = scores;
+    if (best.score === 0) return { language: DEFAULT_LANGUAGE, confidence: 0.2 };
+
+    // Confident when the winner is clear and stopwords cover a fair share of the text
+    const margin = (best.score - second.score) / best.score;
+    const coverage = Math.min(1, best.score / Math.max(3, words.length * 0.3));
+
+    return {
+        language: best.language,
+        confidence: Number((0.2 + 0.5 * margin + 0.3 * coverage).toFixed(3))
+    };
+}
@@ -0,0 +1,373 @@
+// lexicon.js
+// Offline valence-lexicon sentiment scorer: the automatic fallback when no model
+// provider is reachable, and the engine behind the "local" provider.
+// Emotions are Plutchik's eight; arousal and dominance are blended from them.
+
+// ========== LEXICON ==========
+export const VALENCE = {
+    // Positive
+    "amazing": 3.1, "awesome": 3.1, "beautiful": 2.9, "best": 3.2, "better": 1.9,
+    "brilliant": 2.8, "calm": 1.3, "celebrate": 2.7, "cheerful": 2.5, "clean": 1.7,
+    "clear": 1.2, "comfortable": 1.8, "confident": 2.2, "cool": 1.3, "delight": 2.9,
+    "delighted": 3.0, "delightful": 2.9, "easy": 1.9, "effective": 2.0, "efficient": 1.8,
+    "enjoy": 2.2, "enjoyed": 2.3, "excellent": 3.2, "excited": 2.6, "exciting": 2.6,
+    "fantastic": 3.2, "fast": 1.0, "fine": 0.8, "fun": 2.3, "glad": 2.0,
+    "good": 1.9, "grateful": 2.6, "great": 3.1, "happy": 2.7, "helpful": 2.1,
+    "hope": 1.9, "hopeful": 2.0, "impressed": 2.5, "impressive": 2.5, "incredible": 3.0,
+    "inspiring": 2.6, "interesting": 1.7, "joy": 2.8, "joyful": 2.9, "kind": 2.0,
+    "like": 1.2, "liked": 1.5, "love": 3.2, "loved": 3.1, "lovely": 2.8,
+    "lucky": 2.2, "nice": 1.8, "okay": 0.9, "ok": 0.9, "perfect": 2.7,
+    "pleasant": 2.3, "pleased": 2.4, "productive": 1.8, "proud": 2.1, "recommend": 1.5,
+    "relaxed": 1.8, "relieved": 1.9, "reliable": 1.9, "satisfied": 2.0, "smooth": 1.5,
+    "solid": 1.4, "smart": 1.7, "success": 2.7, "successful": 2.7, "super": 2.2,
+    "support": 1.6, "supportive": 2.0, "sure": 1.0, "thank": 1.7, "thanks": 1.9,
+    "thankful": 2.4, "thrilled": 3.0, "useful": 1.9, "valuable": 2.1, "welcome": 2.0,
+    "win": 2.8, "wonderful": 3.1, "works": 0.9, "wow": 2.3, "yay": 2.4,
+    "agree": 1.5, "appreciate": 2.2, "appreciated": 2.3, "benefit": 1.8, "bright": 1.9,
+    "care": 1.5, "congrats": 2.5, "congratulations": 2.9, "cute": 2.0, "eager": 1.5,
+    "fair": 1.3, "favorite": 2.0, "free": 1.2, "friendly": 2.2, "funny": 1.9,
+    "gorgeous": 3.0, "improve": 1.9, "improved": 2.0, "laugh": 2.6, "peaceful": 2.2,
+    "positive": 2.3, "safe": 1.9, "stunning": 2.9, "sweet": 2.0, "progress": 1.8,
+
+    // Negative
+    "angry": -2.7, "annoyed": -1.9, "annoying": -2.0, "anxious": -1.8, "awful": -3.0,
+    "bad": -2.5, "boring": -1.3, "broke": -1.8, "broken": -2.1, "bug": -1.2,
+    "buggy": -1.9, "confused": -1.3, "confusing": -1.6, "crash": -2.0, "crashed": -2.1,
+    "cry": -2.1, "damn": -1.7, "difficult": -1.5, "disappointed": -2.3, "disappointing": -2.4,
+    "disaster": -3.1, "dislike": -1.6, "down": -0.8, "dumb": -2.3, "error": -1.4,
+    "expensive": -1.0, "fail": -2.5, "failed": -2.3, "failure": -2.7, "fear": -2.2,
+    "frustrated": -2.4, "frustrating": -2.5, "hard": -0.8, "hate": -2.7, "hated": -3.0,
+    "horrible": -2.9, "hurt": -2.4, "ignored": -1.5, "issue": -0.8, "issues": -0.9,
+    "lost": -1.3, "mad": -2.2, "mess": -1.8, "miss": -0.9, "mistake": -1.6,
+    "nervous": -1.5, "pain": -2.3, "painful": -2.5, "poor": -2.1, "problem": -1.7,
+    "problems": -1.8, "sad": -2.1, "scared": -1.9, "slow": -1.2, "sorry": -0.3,
+    "stress": -1.8, "stressed": -2.1, "stressful": -2.0, "stuck": -1.6, "stupid": -2.4,
+    "terrible": -3.1, "tired": -1.3, "ugly": -2.3, "unfair": -2.1, "unhappy": -2.3,
+    "upset": -1.6, "useless": -2.4, "waste": -1.8, "wasted": -2.0, "weak": -1.5,
+    "worried": -1.8, "worry": -1.9, "worse": -2.1, "worst": -3.1, "wrong": -2.1,
+    "afraid": -2.0, "alone": -1.0, "blame": -1.4, "bored": -1.1, "complain": -1.7,
+    "concern": -0.9, "concerned": -1.2, "delay": -1.2, "delayed": -1.4, "depressed": -2.9,
+    "disgusting": -3.0, "dread": -2.4, "exhausted": -1.7, "furious": -3.1, "guilty": -1.8,
+    "lonely": -2.0, "miserable": -2.9, "negative": -2.2, "outage": -2.0, "pathetic": -2.6,
+    "ridiculous": -1.9, "risk": -1.1, "rude": -2.0, "shame": -2.0, "sick": -2.1,
+    "struggle": -1.7, "struggling": -1.8, "unfortunately": -1.5, "lose": -1.8, "ruined": -2.6
+};
+
+// Added to (or, for dampeners, taken from) the magnitude of the next sentiment word.
+const BOOSTER_INCR = 0.293;
+const BOOSTERS = {
+    "absolutely": BOOSTER_INCR, "completely": BOOSTER_INCR, "extremely": BOOSTER_INCR,
+    "incredibly": BOOSTER_INCR, "really": BOOSTER_INCR, "so": BOOSTER_INCR,
+    "totally": BOOSTER_INCR, "very": BOOSTER_INCR, "super": BOOSTER_INCR,
+    "truly": BOOSTER_INCR, "highly": BOOSTER_INCR, "most": BOOSTER_INCR,
+    "especially": BOOSTER_INCR, "deeply": BOOSTER_INCR, "seriously": BOOSTER_INCR,
+    "barely": -BOOSTER_INCR, "hardly": -BOOSTER_INCR, "kinda": -BOOSTER_INCR,
+    "kind of": -BOOSTER_INCR, "slightly": -BOOSTER_INCR, "somewhat": -BOOSTER_INCR,
+    "sort of": -BOOSTER_INCR, "little": -BOOSTER_INCR, "partly": -BOOSTER_INCR,
+    "marginally": -BOOSTER_INCR, "fairly": -BOOSTER_INCR
+};
+
+const NEGATIONS = new Set([
+    "not", "no", "never", "none", "nobody", "nothing", "neither", "nor", "nowhere",
+    "cannot", "without", "isnt", "arent", "wasnt", "werent", "dont", "doesnt",
+    "didnt", "wont", "wouldnt", "shouldnt", "couldnt", "cant", "aint", "hasnt",
+    "havent", "hadnt"
+]);
+
+// Words that shift weight onto the clause that follows them.
+const CONTRASTIVES = new Set(["but", "however", "although", "though", "yet"]);
+
+const NEGATION_SCALAR = -0.74;
+const CAPS_INCR = 0.733;
+const EXCLAMATION_INCR = 0.292;
+const BEFORE_CONTRAST_WEIGHT = 0.5;
+const AFTER_CONTRAST_WEIGHT = 1.5;
+const NORMALIZATION_ALPHA = 15;
+
+// ========== EMOTIONS ==========
+export const EMOTIONS = ["joy", "trust", "fear", "surprise", "sadness", "disgust", "anger", "anticipation"];
+
+const EMOTION_LEXICON = {
+    // Joy
+    "amazing": ["joy", "surprise"], "awesome": ["joy"], "celebrate": ["joy", "anticipation"],
+    "cheerful": ["joy"], "delight": ["joy"], "delighted": ["joy"], "delightful": ["joy"],
+    "enjoy": ["joy"], "enjoyed": ["joy"], "excited": ["joy", "anticipation"],
+    "exciting": ["joy", "anticipation"], "fantastic": ["joy"], "fun": ["joy"], "glad": ["joy"],
+    "great": ["joy"], "happy": ["joy"], "joy": ["joy"], "joyful": ["joy"], "laugh": ["joy"],
+    "love": ["joy", "trust"], "loved": ["joy", "trust"], "lovely": ["joy"], "perfect": ["joy"],
+    "pleased": ["joy"], "proud": ["joy"], "relieved": ["joy"], "thrilled": ["joy", "surprise"],
+    "wonderful": ["joy"], "yay": ["joy"], "win": ["joy"], "success": ["joy"],
+    // Trust
+    "agree": ["trust"], "appreciate": ["trust", "joy"], "calm": ["trust"], "confident": ["trust"],
+    "friendly": ["trust"], "grateful": ["trust", "joy"], "helpful": ["trust"], "honest": ["trust"],
+    "recommend": ["trust"], "reliable": ["trust"], "safe": ["trust"], "support": ["trust"],
+    "supportive": ["trust"], "sure": ["trust"], "thank": ["trust"], "thanks": ["trust"],
+    "thankful": ["trust", "joy"], "trust": ["trust"],
+    // Fear
+    "afraid": ["fear"], "anxious": ["fear", "anticipation"], "dread": ["fear", "anticipation"],
+    "fear": ["fear"], "nervous": ["fear"], "panic": ["fear"], "risk": ["fear"], "scared": ["fear"],
+    "terrified": ["fear"], "worried": ["fear"], "worry": ["fear"], "stress": ["fear"],
+    "stressed": ["fear"], "stressful": ["fear"],
+    // Surprise
+    "sudden": ["surprise"], "suddenly": ["surprise"], "surprise": ["surprise"],
+    "surprised": ["surprise"], "shocked": ["surprise", "fear"], "unexpected": ["surprise"],
+    "wow": ["surprise", "joy"], "incredible": ["surprise", "joy"], "stunning": ["surprise", "joy"],
+    // Sadness
+    "alone": ["sadness"], "cry": ["sadness"], "depressed": ["sadness"], "disappointed": ["sadness"],
+    "disappointing": ["sadness"], "exhausted": ["sadness"], "hurt": ["sadness"], "lonely": ["sadness"],
+    "lost": ["sadness"], "miserable": ["sadness"], "miss": ["sadness"], "pain": ["sadness"],
+    "sad": ["sadness"], "sorry": ["sadness"], "tired": ["sadness"], "unhappy": ["sadness"],
+    "unfortunately": ["sadness"],
+    // Disgust
+    "disgusting": ["disgust"], "gross": ["disgust"], "pathetic": ["disgust"], "ugly": ["disgust"],
+    "awful": ["disgust", "sadness"], "horrible": ["disgust", "fear"], "terrible": ["disgust", "sadness"],
+    "useless": ["disgust"], "waste": ["disgust"], "wasted": ["disgust"], "worst": ["disgust"],
+    "ridiculous": ["disgust"], "shame": ["disgust", "sadness"],
+    // Anger
+    "angry": ["anger"], "annoyed": ["anger"], "annoying": ["anger"], "blame": ["anger"],
+    "damn": ["anger"], "frustrated": ["anger"], "frustrating": ["anger"], "furious": ["anger"],
+    "hate": ["anger", "disgust"], "hated": ["anger", "disgust"], "mad": ["anger"], "rude": ["anger"],
+    "stupid": ["anger"], "unfair": ["anger"], "upset": ["anger", "sadness"],
+    // Anticipation
+    "eager": ["anticipation"], "expect": ["anticipation"], "hope": ["anticipation"],
+    "hopeful": ["anticipation"], "plan": ["anticipation"], "soon": ["anticipation"],
+    "tomorrow": ["anticipation"], "waiting": ["anticipation"], "progress": ["anticipation"]
+};
+
+// Arousal / dominance of each emotion (0..1), from affective-norm averages.
+const EMOTION_AFFECT = {
+    joy: { arousal: 0.7, dominance: 0.65 },
+    trust: { arousal: 0.35, dominance: 0.6 },
+    fear: { arousal: 0.8, dominance: 0.2 },
+    surprise: { arousal: 0.8, dominance: 0.45 },
+    sadness: { arousal: 0.3, dominance: 0.25 },
+    disgust: { arousal: 0.55, dominance: 0.5 },
+    anger: { arousal: 0.85, dominance: 0.7 },
+    anticipation: { arousal: 0.6, dominance: 0.55 }
+};
+
+const NEUTRAL_AROUSAL = 0.3;
+const NEUTRAL_DOMINANCE = 0.5;
+const EMOTION_ALPHA = 4;
+
+export function emptyEmotions() {
+    return Object.fromEntries(EMOTIONS.map(emotion => [emotion, 0]));
+}
+
+// Blend arousal and dominance from an emotion vector. `emphasis` (0..1,
+// e.g. from exclamations or shouting) raises arousal on top of the blend.
+export function affectFromEmotions(emotions, emphasis = 0) {
+    const total = EMOTIONS.reduce((sum, emotion) => sum + (emotions[emotion] || 0), 0);
+
+    let arousal = NEUTRAL_AROUSAL;
+    let dominance = NEUTRAL_DOMINANCE;
+
+    if (total > 0) {
+        // Weak emotions pull only part of the way from neutral
+        const strength = Math.min(1, total);
+        const blend = key => EMOTIONS.reduce(
+            (sum, emotion) => sum + (emotions[emotion] || 0) * EMOTION_AFFECT[emotion][key], 0
+        ) / total;
+
+        arousal += (blend("arousal") - NEUTRAL_AROUSAL) * strength;
+        dominance += (blend("dominance") - NEUTRAL_DOMINANCE) * strength;
+    }
+
+    arousal += emphasis * 0.2;
+
+    return {
+        arousal: Number(Math.min(1, arousal).toFixed(3)),
+        dominance: Number(dominance.toFixed(3))
+    };
+}
+
+// ========== TOKENIZATION ==========
+// Clause breaks (, . ; ! ?) stay in the token stream as markers, so that
+// negations and boosters do not reach across them
+function tokenize(text) {
+    return (text.match(/[A-Za-z]+(?:'[A-Za-z]+)?|[,.;!?]/g) || []).map(raw => (
+        /^[,.;!?]$/.test(raw)
+            ? { raw, word: raw, boundary: true }
+            : { raw, word: raw.toLowerCase().replace(/'/g, "") }
+    ));
+}
+
+// A clause break or a contrastive ("but") ends a lookback
+function endsLookback(token) {
+    return token.boundary || CONTRASTIVES.has(token.word);
+}
+
+function isNegated(tokens, index) {
+    for (let back = 1; back <= 3 && index - back >= 0; back++) {
+        const { word, raw } = tokens[index - back];
+        if (endsLookback(tokens[index - back])) return false;
+        if (NEGATIONS.has(word) || /n't$/i.test(raw)) return true;
+    }
+    return false;
+}
+
+function boosterScalar(tokens, index, valence) {
+    let scalar = 0;
+
+    for (let back = 1; back <= 3 && index - back >= 0; back++) {
+        if (endsLookback(tokens[index - back])) break;
+        const word = tokens[index - back].word;
+        const phrase = index - back - 1 >= 0 ? `${tokens[index - back - 1].word} ${word}` : null;
+        const incr = BOOSTERS[phrase] ?? BOOSTERS[word];
+
+        if (incr === undefined) continue;
+
+        // Boosters further away count a little less
+        const decay = back === 1 ? 1 : back === 2 ? 0.95 : 0.9;
+        scalar += (valence < 0 ? -incr : incr) * decay;
+    }
+
+    return scalar;
+}
+
+// ========== SCORING ==========
+// Score a piece of text against the valence lexicon. Known words carry a valence
+// of -4..+4; intensifiers scale the next one, a negation within three words of
+// the same clause flips and damps it, clauses after "but"/"however" outweigh
+// earlier ones, and exclamation marks and ALL-CAPS add emphasis.
+export function scoreText(text) {
+    const tokens = tokenize(text || "");
+    const words = tokens.filter(t => !t.boundary);
+    const shouting = words.some(t => t.raw.length > 1 && t.raw === t.raw.toUpperCase()) &&
+        words.some(t => t.raw !== t.raw.toUpperCase());
+
+    const contrastIndex = tokens.reduce(
+        (last, t, i) => (CONTRASTIVES.has(t.word) ? i : last),
+        -1
+    );
+
+    const hits = [];
+    const emotionTotals = emptyEmotions();
+    let sum = 0;
+
+    tokens.forEach((token, i) => {
+        let valence = VALENCE[token.word];
+
+        // Emotion-only words ("surprised", "tomorrow") carry no valence of their own
+        if (valence === undefined) {
+            if (EMOTION_LEXICON[token.word] && !isNegated(tokens, i)) {
+                EMOTION_LEXICON[token.word].forEach(emotion => { emotionTotals[emotion] += 1.5; });
+            }
+            return;
+        }
+
+        // "kind of" is a hedge, not praise
+        if (token.word === "kind" && tokens[i + 1]?.word === "of") return;
+
+        // "would like", "feels like", "looks like" compare rather than approve
+        if (token.word === "like" && i > 0 && ["would", "feel", "feels", "look", "looks", "seems"].includes(tokens[i - 1].word)) {
+            return;
+        }
+
+        valence += boosterScalar(tokens, i, valence);
+
+        if (shouting && token.raw === token.raw.toUpperCase() && token.raw.length > 1) {
+            valence += valence > 0 ? CAPS_INCR : -CAPS_INCR;
+        }
+
+        // A negated emotion word ("not happy") does not express that emotion
+        const negated = isNegated(tokens, i);
+        if (negated) {
+            valence *= NEGATION_SCALAR;
+        } else if (EMOTION_LEXICON[token.word]) {
+            EMOTION_LEXICON[token.word].forEach(emotion => { emotionTotals[emotion] += Math.abs(valence); });
+        }
+
+        if (contrastIndex >= 0) {
+            valence *= i < contrastIndex ? BEFORE_CONTRAST_WEIGHT : AFTER_CONTRAST_WEIGHT;
+        }
+
+        hits.push({ word: token.word, valence: Number(valence.toFixed(3)) });
+        sum += valence;
+    });
+
+    if (sum !== 0) {
+        const exclamations = Math.min((text.match(/!/g) || []).length, 4);
+        sum += Math.sign(sum) * exclamations * EXCLAMATION_INCR;
+    }
+
+    const compound = sum / Math.sqrt(sum * sum + NORMALIZATION_ALPHA);
+    const sentiment = Number(((compound + 1) / 2).toFixed(3));
+
+    const emotions = Object.fromEntries(EMOTIONS.map(emotion => {
+        const total = emotionTotals[emotion];
+        return [emotion, Number((total / Math.sqrt(total * total + EMOTION_ALPHA)).toFixed(3))];
+    }));
+
+    const exclamations = Math.min((text.match(/!/g) || []).length, 4);
+    const emphasis = Math.min(1, exclamations * 0.25 + (shouting ? 0.5 : 0));
+
+    return {
+        compound: Number(compound.toFixed(3)),
+        sentiment,
+        confidence: deriveLexiconConfidence(compound, hits.length, words.length),
+        tone: deriveLexiconTone(compound),
+        emotions,
+        ...affectFromEmotions(emotions, emphasis),
+        hits
+    };
+}
+
+// ========== ASPECTS ==========
+// Clause boundaries for aspect scoring: punctuation, contrastives and "and"
+const CLAUSE_SPLIT = /[.!?;,]|\b(?:but|however|although|though|yet|and|while|whereas)\b/gi;
+
+function clauseAround(text, start, end) {
+    let from = 0;
+    let to = text.length;
+
+    for (const match of text.matchAll(CLAUSE_SPLIT)) {
+        if (match.index + match[0].length <= start) from = match.index + match[0].length;
+        else if (match.index >= end) {
+            to = match.index;
+            break;
+        }
+    }
+
+    return text.slice(from, to);
+}
+
+// Score each term by the clause it appears in, so "I love the new UI but the
+// billing page is awful" gives the two aspects opposite sentiments. Terms not
+// found in the text, or whose clause has no sentiment words, get `fallback`.
+export function scoreAspects(text, terms, fallback = 0.5) {
+    const lower = (text || "").toLowerCase();
+
+    return terms.map(term => {
+        const start = lower.indexOf(String(term).toLowerCase());
+        if (start === -1) return { term, sentiment: fallback, span: null };
+
+        const end = start + term.length;
+        const clause = scoreText(clauseAround(text, start, end));
+
+        return {
+            term,
+            sentiment: clause.hits.length ? clause.sentiment : fallback,
+            span: { text: text.slice(start, end), start, end }
+        };
+    });
+}
+
+// A lexicon is never as sure as a model: confidence grows with how many
+// sentiment words were found and how strongly they agree, capped at 0.85.
+function deriveLexiconConfidence(compound, hitCount, tokenCount) {
+    if (hitCount === 0) return 0.3;
+
+    const coverage = Math.min(1, hitCount / Math.max(3, tokenCount * 0.25));
+    const confidence = 0.35 + Math.abs(compound) * 0.3 + coverage * 0.2;
+
+    return Number(Math.min(0.85, confidence).toFixed(3));
+}
+
+function deriveLexiconTone(compound) {
+    if (compound >= 0.5) return "joyful";
+    if (compound >= 0.15) return "content";
+    if (compound <= -0.5) return "upset";
+    if (compound <= -0.15) return "dissatisfied";
+    return "neutral";
+}
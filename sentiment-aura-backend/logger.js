@@ -0,0 +1,156 @@
+// logger.js
+// Structured logger: levels, JSON or pretty lines, request context on every line,
+// transcript redaction, and an optional rotating log file
+
+import fs from "fs";
+import path from "path";
+
+export const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Fields that may carry what the user said
+const TEXT_FIELDS = new Set(["text", "partial", "transcript", "prompt", "raw_text", "short_summary"]);
+
+const PRETTY_COLORS = { debug: "\x1b[90m", info: "\x1b[36m", warn: "\x1b[33m", error: "\x1b[31m" };
+const RESET = "\x1b[0m";
+
+function serializeError(error, withStack) {
+    return {
+        type: error.name,
+        message: error.message,
+        ...(error.statusCode && { status: error.statusCode }),
+        ...(withStack && error.stack && { stack: error.stack })
+    };
+}
+
+// Replace text fields with a length marker, at any depth.
+export function redactText(value) {
+    if (Array.isArray(value)) return value.map(redactText);
+    if (!value || typeof value !== "object" || value instanceof Error) return value;
+
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+        key,
+        TEXT_FIELDS.has(key) && typeof field === "string" ? `[redacted ${field.length} chars]` : redactText(field)
+    ]));
+}
+
+// ========== FILE SINK ==========
+// Appends lines to `file`; past maxBytes it shifts file → file.1 → file.2 ...
+class RotatingFile {
+    constructor(file, { maxBytes, maxFiles }) {
+        this.file = path.resolve(file);
+        this.maxBytes = maxBytes;
+        this.maxFiles = maxFiles;
+
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        this.size = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+        this.stream = this.open();
+    }
+
+    open() {
+        const stream = fs.createWriteStream(this.file, { flags: "a" });
+        stream.on("error", err => process.stderr.write(`Log file ${this.file} failed: ${err.message}\n`));
+        return stream;
+    }
+
+    write(line) {
+        const bytes = Buffer.byteLength(line);
+        if (this.size > 0 && this.size + bytes > this.maxBytes) this.rotate();
+
+        this.stream.write(line);
+        this.size += bytes;
+    }
+
+    // The old stream keeps its descriptor, so pending writes land in the renamed file
+    rotate() {
+        this.stream.end();
+
+        try {
+            fs.rmSync(`${this.file}.${this.maxFiles}`, { force: true });
+            for (let i = this.maxFiles - 1; i >= 1; i--) {
+                if (fs.existsSync(`${this.file}.${i}`)) fs.renameSync(`${this.file}.${i}`, `${this.file}.${i + 1}`);
+            }
+            if (this.maxFiles > 0) fs.renameSync(this.file, `${this.file}.1`);
+            else fs.rmSync(this.file, { force: true });
+        } catch (err) {
+            process.stderr.write(`Log rotation failed: ${err.message}\n`);
+        }
+
+        this.size = 0;
+        this.stream = this.open();
+    }
+
+    close() {
+        return new Promise(resolve => this.stream.end(resolve));
+    }
+}
+
+// ========== LOGGER ==========
+class Logger {
+    constructor(options, bindings = {}, sink = null) {
+        this.options = options;
+        this.bindings = bindings;
+        this.threshold = LEVELS[options.level] ?? LEVELS.info;
+        this.sink = sink || (options.file ? new RotatingFile(options.file, options) : null);
+    }
+
+    // A logger that adds `bindings` to every line and shares this one's sink
+    child(bindings) {
+        return new Logger(this.options, { ...this.bindings, ...bindings }, this.sink);
+    }
+
+    isLevelEnabled(level) {
+        return LEVELS[level] >= this.threshold;
+    }
+
+    log(level, msg, fields = {}) {
+        if (!this.isLevelEnabled(level)) return;
+
+        let entry = {
+            time: new Date().toISOString(),
+            level,
+            msg,
+            ...this.options.context?.(),
+            ...this.bindings,
+            ...fields
+        };
+
+        if (entry.err instanceof Error) {
+            entry.err = serializeError(entry.err, this.isLevelEnabled("debug") || !("statusCode" in entry.err));
+        }
+        if (!this.options.logText) entry = redactText(entry);
+
+        const json = JSON.stringify(entry) + "\n";
+        this.sink?.write(json);
+
+        const out = level === "error" || level === "warn" ? process.stderr : process.stdout;
+        out.write(this.options.format === "json" ? json : this.pretty(entry));
+    }
+
+    pretty({ time, level, msg, err, ...fields }) {
+        const color = this.options.color ? PRETTY_COLORS[level] : "";
+        const reset = this.options.color ? RESET : "";
+        const pairs = Object.entries(fields)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`);
+
+        let line = `${time.slice(11, 23)} ${color}${level.toUpperCase().padEnd(5)}${reset} ${msg}`;
+        if (pairs.length) line += ` ${pairs.join(" ")}`;
+        if (err) line += ` (${err.type}${err.status ? ` ${err.status}` : ""}: ${err.message})${err.stack ? `\n${err.stack}` : ""}`;
+        return line + "\n";
+    }
+
+    debug(msg, fields) { this.log("debug", msg, fields); }
+    info(msg, fields) { this.log("info", msg, fields); }
+    warn(msg, fields) { this.log("warn", msg, fields); }
+    error(msg, fields) { this.log("error", msg, fields); }
+
+    // Resolves once the file sink has written everything
+    async flush() {
+        await this.sink?.close();
+    }
+}
+
+// "json" writes one object per line for log shippers, "pretty" a key=value line for a terminal
+export function createLogger({ level = "info", format = "pretty", color = false, logText = false, file = null, maxBytes = 10 * 1024 * 1024, maxFiles = 5, context = null } = {}) {
+    return new Logger({ level, format, color, logText, file, maxBytes, maxFiles, context });
+}
@@ -0,0 +1,130 @@
+// metrics.js
+// Prometheus metrics, rendered in the text exposition format at GET /metrics.
+// Each metric maps a label set to a value (or to histogram buckets).
+// Figures other components already count (cache, rate limiter, sessions)
+// are read from them at scrape time through collectors instead of being
+// counted twice.
+export const METRIC_PREFIX = "sentiment_aura_";
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+// { route: "/x", method: "GET" } → '{method="GET",route="/x"}'
+function formatLabels(labels) {
+    const pairs = Object.keys(labels).sort().map(name => `${name}="${escapeLabelValue(labels[name])}"`);
+    return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+class Counter {
+    constructor(name, help) {
+        this.name = name;
+        this.help = help;
+        this.type = "counter";
+        this.series = new Map();
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = formatLabels(labels);
+        this.series.set(key, (this.series.get(key) || 0) + value);
+    }
+
+    render() {
+        return [...this.series].map(([labels, value]) => `${this.name}${labels} ${value}`);
+    }
+}
+
+class Histogram {
+    constructor(name, help, buckets = LATENCY_BUCKETS) {
+        this.name = name;
+        this.help = help;
+        this.type = "histogram";
+        this.buckets = buckets;
+        this.series = new Map();
+    }
+
+    observe(labels, value) {
+        const key = formatLabels(labels);
+        let series = this.series.get(key);
+
+        if (!series) {
+            series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.series.set(key, series);
+        }
+
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    // Starts a timer; call the returned function with the labels when done.
+    // It returns the elapsed seconds.
+    startTimer() {
+        const start = process.hrtime.bigint();
+        return (labels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            this.observe(labels, seconds);
+            return seconds;
+        };
+    }
+
+    render() {
+        const lines = [];
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${Number(sum.toFixed(6))}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+// Reads its samples from elsewhere at scrape time: collect() → [[labels, value], ...]
+class Collector {
+    constructor(name, type, help, collect) {
+        this.name = name;
+        this.type = type;
+        this.help = help;
+        this.collect = collect;
+    }
+
+    render() {
+        return this.collect().map(([labels, value]) => `${this.name}${formatLabels(labels)} ${value}`);
+    }
+}
+
+export class MetricsRegistry {
+    constructor(prefix = "") {
+        this.prefix = prefix;
+        this.metrics = [];
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(name, help) {
+        return this.register(new Counter(this.prefix + name, help));
+    }
+
+    histogram(name, help, buckets) {
+        return this.register(new Histogram(this.prefix + name, help, buckets));
+    }
+
+    collector(name, type, help, collect, { prefixed = true } = {}) {
+        return this.register(new Collector(prefixed ? this.prefix + name : name, type, help, collect));
+    }
+
+    render() {
+        return this.metrics
+            .flatMap(metric => [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.render()])
+            .join("\n") + "\n";
+    }
+}
@@ -0,0 +1,327 @@
+// mock/gemini.js
+// Local stand-in for the Gemini API (generativelanguage v1beta)
+//
+// Answers generateContent, streamGenerateContent (?alt=sse) and the model
+// lookup used by the readiness probe, in Gemini's response shapes. Point the
+// backend at it with GEMINI_BASE_URL=http://localhost:4010/v1beta.
+//
+// Modes:
+// - script (default): replies come from a scenario file (mock/scenarios/),
+//   step by step: model text (valid or malformed JSON), HTTP errors such as
+//   429 and 5xx, slow replies, dropped connections. Without a scenario every
+//   call gets a neutral analysis
+// - record: requests are forwarded to the real API and each exchange is
+//   saved as a fixture file (the API key is never written)
+// - replay: requests are answered from recorded fixtures, matched by a hash
+//   of the request; unknown requests get a 404
+//
+// Control routes for tests: GET /__mock/requests lists what was received,
+// POST /__mock/reset rewinds the scenario and clears that list, and
+// PUT /__mock/scenario swaps the scenario.
+//
+// Usage: npm run mock:gemini -- [--port 4010] [--scenario file] [--record dir [--upstream url]] [--replay dir]
+
+import http from "http";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { fileURLToPath, pathToFileURL } from "url";
+import { emptyEmotions } from "../lexicon.js";
+
+const DEFAULT_UPSTREAM = "https://generativelanguage.googleapis.com/v1beta";
+
+// google.rpc status names the real API puts in error bodies
+const STATUS_NAMES = {
+    400: "INVALID_ARGUMENT",
+    401: "UNAUTHENTICATED",
+    403: "PERMISSION_DENIED",
+    404: "NOT_FOUND",
+    429: "RESOURCE_EXHAUSTED",
+    500: "INTERNAL",
+    503: "UNAVAILABLE",
+    504: "DEADLINE_EXCEEDED"
+};
+
+const DEFAULT_ANSWER = {
+    sentiment: 0.5,
+    sentiment_label: "neutral",
+    confidence: 0.5,
+    keywords: ["mock"],
+    aspects: [],
+    tone: "neutral",
+    emotions: emptyEmotions(),
+    arousal: 0.3,
+    dominance: 0.5,
+    short_summary: "Mock analysis."
+};
+
+const ROUTE = /^\/v1beta\/models\/([^/:]+)(?::(generateContent|streamGenerateContent))?$/;
+
+// ========== RESPONSE SHAPES ==========
+function candidateChunk(text, model, finished) {
+    return {
+        candidates: [{
+            content: { parts: [{ text }], role: "model" },
+            ...(finished && { finishReason: "STOP" }),
+            index: 0
+        }],
+        ...(finished && { usageMetadata: { promptTokenCount: 0, candidatesTokenCount: Math.ceil(text.length / 4) } }),
+        modelVersion: model
+    };
+}
+
+function errorBody(status, message) {
+    return { error: { code: status, message, status: STATUS_NAMES[status] || "UNKNOWN" } };
+}
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { "Content-Type": "application/json; charset=UTF-8", ...headers });
+    res.end(JSON.stringify(body));
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Split text into roughly `count` pieces, like the deltas of a real stream
+function splitText(text, count) {
+    const size = Math.max(1, Math.ceil(text.length / count));
+    const pieces = [];
+    for (let i = 0; i < text.length; i += size) pieces.push(text.slice(i, i + size));
+    return pieces.length ? pieces : [""];
+}
+
+// ========== SCENARIOS ==========
+// A scenario is { description?, after?: "default" | "repeat", steps: [...] }.
+// Each request takes the first unused step whose `match` (if any) appears in
+// the prompt. A step is used `times` times (default 1). Once every step is
+// used, "repeat" starts over and "default" answers with a neutral analysis.
+//
+// Step fields:
+//   json / text     model output: an object to serialize, or raw text (e.g. broken JSON)
+//   status, error   an HTTP error in Gemini's error shape instead of an answer
+//   retryAfter      Retry-After header (seconds) for an error
+//   delayMs         wait before answering (longer than API_TIMEOUT means a timeout)
+//   chunks          pieces a streamed answer is split into (default 4)
+//   chunkDelayMs    wait between streamed pieces
+//   drop            close the connection without answering
+export class Scenario {
+    constructor({ description = "", after = "default", steps = [] } = {}) {
+        this.description = description;
+        this.after = after;
+        this.steps = steps;
+        this.reset();
+    }
+
+    static load(file) {
+        return new Scenario(JSON.parse(fs.readFileSync(file, "utf8")));
+    }
+
+    reset() {
+        this.used = this.steps.map(() => 0);
+    }
+
+    next(prompt) {
+        const pick = () => this.steps.findIndex((step, i) =>
+            this.used[i] < (step.times ?? 1) && (!step.match || prompt.includes(step.match))
+        );
+
+        let index = pick();
+        if (index === -1 && this.after === "repeat" && this.steps.length) {
+            this.reset();
+            index = pick();
+        }
+        if (index === -1) return { json: DEFAULT_ANSWER };
+
+        this.used[index]++;
+        return this.steps[index];
+    }
+}
+
+async function answerFromStep(step, { res, model, stream }) {
+    if (step.delayMs) await sleep(step.delayMs);
+
+    if (step.drop) {
+        res.socket.destroy();
+        return;
+    }
+
+    if (step.status) {
+        const headers = step.retryAfter ? { "Retry-After": String(step.retryAfter) } : {};
+        return sendJson(res, step.status, errorBody(step.status, step.error || `Mock ${STATUS_NAMES[step.status] || "error"}`), headers);
+    }
+
+    const text = step.text ?? JSON.stringify(step.json ?? DEFAULT_ANSWER);
+
+    if (!stream) return sendJson(res, 200, candidateChunk(text, model, true));
+
+    res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache" });
+    const pieces = splitText(text, step.chunks ?? 4);
+
+    for (const [i, piece] of pieces.entries()) {
+        if (i > 0 && step.chunkDelayMs) await sleep(step.chunkDelayMs);
+        res.write(`data: ${JSON.stringify(candidateChunk(piece, model, i === pieces.length - 1))}\r\n\r\n`);
+    }
+    res.end();
+}
+
+// ========== FIXTURES ==========
+// The API key is left out, so fixtures recorded with a real key match keyless replays
+export function fixtureKey(method, pathname, params, body) {
+    const query = new URLSearchParams([...params].filter(([name]) => name !== "key").sort()).toString();
+    let canonical = body;
+    try {
+        canonical = JSON.stringify(JSON.parse(body));
+    } catch {
+        // Not JSON: hash it as sent
+    }
+
+    return crypto.createHash("sha256").update([method, pathname, query, canonical].join("\n")).digest("hex").slice(0, 16);
+}
+
+async function recordExchange({ req, res, url, body, key, upstream, fixturesDir, log }) {
+    const target = `${upstream}${url.pathname.replace(/^\/v1beta/, "")}${url.search}`;
+    const forwarded = await fetch(target, {
+        method: req.method,
+        headers: {
+            "Content-Type": "application/json",
+            ...(req.headers["x-goog-api-key"] && { "x-goog-api-key": req.headers["x-goog-api-key"] })
+        },
+        body: req.method === "GET" ? undefined : body
+    });
+
+    const contentType = forwarded.headers.get("content-type") || "application/json";
+    res.writeHead(forwarded.status, { "Content-Type": contentType });
+
+    // Pass streamed answers through as they arrive while keeping a copy
+    let recorded = "";
+    const decoder = new TextDecoder();
+    for await (const chunk of forwarded.body) {
+        recorded += decoder.decode(chunk, { stream: true });
+        res.write(chunk);
+    }
+    res.end();
+
+    const params = new URLSearchParams([...url.searchParams].filter(([name]) => name !== "key"));
+    const fixture = {
+        key,
+        recorded_at: new Date().toISOString(),
+        request: { method: req.method, path: url.pathname, query: params.toString(), body: body ? JSON.parse(body) : null },
+        response: { status: forwarded.status, content_type: contentType, body: recorded }
+    };
+
+    await fs.promises.mkdir(fixturesDir, { recursive: true });
+    await fs.promises.writeFile(path.join(fixturesDir, `${key}.json`), JSON.stringify(fixture, null, 2));
+    log(`recorded ${req.method} ${url.pathname} -> ${forwarded.status} as ${key}.json`);
+}
+
+function replayExchange({ res, key, fixturesDir, log }) {
+    const file = path.join(fixturesDir, `${key}.json`);
+
+    if (!fs.existsSync(file)) {
+        log(`no fixture ${key}.json`);
+        return sendJson(res, 404, errorBody(404, `mock-gemini: no fixture ${key}.json in ${fixturesDir} (record it with --record)`));
+    }
+
+    const { response } = JSON.parse(fs.readFileSync(file, "utf8"));
+    res.writeHead(response.status, { "Content-Type": response.content_type });
+    res.end(response.body);
+}
+
+// ========== SERVER ==========
+// `record` / `replay` name the fixture directory for that mode
+export function createMockGeminiServer({ scenario = null, record = null, replay = null, upstream = DEFAULT_UPSTREAM, log = () => { } } = {}) {
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, "http://mock");
+        let body = "";
+        for await (const chunk of req) body += chunk;
+
+        try {
+            if (url.pathname.startsWith("/__mock/")) return handleControl(req, res, url, body);
+
+            const route = url.pathname.match(ROUTE);
+            if (!route) return sendJson(res, 404, errorBody(404, `Unknown path ${url.pathname}`));
+
+            const [, model, action] = route;
+            const key = fixtureKey(req.method, url.pathname, url.searchParams, body);
+            let prompt = "";
+
+            if (action) {
+                prompt = JSON.parse(body || "{}")?.contents?.[0]?.parts?.[0]?.text;
+                if (req.method !== "POST" || typeof prompt !== "string") {
+                    return sendJson(res, 400, errorBody(400, "contents[0].parts[0].text is required"));
+                }
+            }
+
+            server.requests.push({ method: req.method, model, action: action || "get", prompt, key, at: new Date().toISOString() });
+
+            if (record) return await recordExchange({ req, res, url, body, key, upstream, fixturesDir: record, log });
+            if (replay) return replayExchange({ res, key, fixturesDir: replay, log });
+
+            if (!action) return sendJson(res, 200, { name: `models/${model}`, displayName: `${model} (mock)` });
+
+            const step = server.scenario.next(prompt);
+            log(`${action} ${step.status || (step.drop ? "drop" : 200)}${step.delayMs ? ` after ${step.delayMs}ms` : ""}`);
+            await answerFromStep(step, { res, model, stream: action === "streamGenerateContent" });
+        } catch (err) {
+            log(`error: ${err.message}`);
+            if (!res.headersSent) sendJson(res, 500, errorBody(500, `mock-gemini: ${err.message}`));
+            else res.end();
+        }
+    });
+
+    function handleControl(req, res, url, body) {
+        if (req.method === "GET" && url.pathname === "/__mock/requests") {
+            return sendJson(res, 200, { requests: server.requests });
+        }
+        if (req.method === "POST" && url.pathname === "/__mock/reset") {
+            server.scenario.reset();
+            server.requests = [];
+            return sendJson(res, 200, { reset: true });
+        }
+        if (req.method === "PUT" && url.pathname === "/__mock/scenario") {
+            server.scenario = new Scenario(JSON.parse(body));
+            server.requests = [];
+            return sendJson(res, 200, { steps: server.scenario.steps.length });
+        }
+        return sendJson(res, 404, errorBody(404, `Unknown control route ${req.method} ${url.pathname}`));
+    }
+
+    server.scenario = scenario || new Scenario();
+    server.requests = [];
+    return server;
+}
+
+// ========== CLI ==========
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+    const { values } = parseArgs({
+        options: {
+            port: { type: "string", default: process.env.MOCK_GEMINI_PORT || "4010" },
+            scenario: { type: "string" },
+            record: { type: "string" },
+            replay: { type: "string" },
+            upstream: { type: "string", default: DEFAULT_UPSTREAM }
+        }
+    });
+
+    if (values.record && values.replay) {
+        console.error("Use either --record or --replay, not both");
+        process.exit(1);
+    }
+
+    const here = path.dirname(fileURLToPath(import.meta.url));
+    const scenarioFile = values.scenario && (fs.existsSync(values.scenario) ? values.scenario : path.join(here, "scenarios", `${values.scenario}.json`));
+
+    const server = createMockGeminiServer({
+        scenario: scenarioFile ? Scenario.load(scenarioFile) : null,
+        record: values.record,
+        replay: values.replay,
+        upstream: values.upstream.replace(/\/+$/, ""),
+        log: line => console.log(`[mock-gemini] ${line}`)
+    });
+
+    server.listen(Number(values.port), () => {
+        const mode = values.record ? `recording to ${values.record}` : values.replay ? `replaying ${values.replay}` : `scenario ${scenarioFile || "(default answers)"}`;
+        console.log(`[mock-gemini] listening on http://localhost:${values.port}/v1beta, ${mode}`);
+        console.log(`[mock-gemini] start the backend with GEMINI_BASE_URL=http://localhost:${values.port}/v1beta`);
+    });
+}
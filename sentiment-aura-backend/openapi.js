@@ -0,0 +1,913 @@
+// openapi.js
+// OpenAPI 3.1 description of the HTTP API: served at /api/openapi.json and /api/docs,
+// and used to validate request bodies (and, outside production, JSON responses).
+// A schema's "x-message" replaces Ajv's wording when that schema fails as a whole.
+
+import { EMOTIONS } from "./lexicon.js";
+
+// ========== HELPERS ==========
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const UNIT = { type: "number", minimum: 0, maximum: 1 };
+const TIMESTAMP = { type: "string", format: "date-time", "x-message": "must be an ISO 8601 date" };
+const SESSION_ID = { type: "string", pattern: "^[A-Za-z0-9_-]{1,64}$", example: "sess-1731300000000-ab12cd3", "x-message": "must be a session id" };
+
+const jsonBody = (schema) => ({ required: true, content: { "application/json": { schema } } });
+
+const json = (description, schema) => ({ description, content: { "application/json": { schema } } });
+
+const ERRORS = {
+    default: json("Error envelope", ref("ErrorResponse"))
+};
+
+// { success: true, data, metadata: { timestamp } }, the shape of every non-analysis reply
+const envelope = (data) => ({
+    type: "object",
+    required: ["success", "data", "metadata"],
+    properties: {
+        success: { const: true },
+        data,
+        metadata: {
+            type: "object",
+            required: ["timestamp"],
+            properties: { timestamp: TIMESTAMP }
+        }
+    }
+});
+
+// Health replies are bare objects, not envelopes, so load balancers can read `status`
+const health = (statuses, properties) => ({
+    type: "object",
+    required: ["status", "timestamp"],
+    properties: { status: { enum: statuses }, timestamp: TIMESTAMP, ...properties }
+});
+
+const pathParam = (name, description, schema = { type: "string" }) => ({
+    name, in: "path", required: true, description, schema
+});
+
+const queryParam = (name, description, schema) => ({
+    name, in: "query", required: false, description, schema
+});
+
+// Operations carry the scope they need as a bearer security requirement
+const scoped = (scope) => ({ security: [{ apiKey: [scope] }] });
+
+// ========== DOCUMENT ==========
+// `limits` caps text length, context segments and batch items
+export function buildOpenApiDocument({ version, providers, languages, scopes, limits }) {
+    const text = {
+        type: "string",
+        minLength: 1,
+        maxLength: limits.text,
+        pattern: "\\S",
+        description: "Text to analyze; surrounding whitespace is trimmed",
+        "x-message": `must be a non-empty string of at most ${limits.text} characters`
+    };
+
+    // Matched case-insensitively by the server, so not an enum
+    const provider = {
+        type: "string",
+        description: `Analysis provider (${providers.join(", ")}); defaults to the server's ANALYSIS_PROVIDER`,
+        example: providers[0]
+    };
+
+    const language = {
+        type: "string",
+        description: `Language code (${languages.join(", ")}) or region tag such as "es-MX"; omit or send "auto" to detect it`,
+        example: "es"
+    };
+
+    const context = {
+        anyOf: [
+            { type: "array", maxItems: limits.context, items: { type: "string" } },
+            { const: false }
+        ],
+        description: "Earlier lines of the conversation (oldest first), or false to analyze without context",
+        "x-message": `must be an array of at most ${limits.context} strings, or false`
+    };
+
+    const analyzeRequest = {
+        type: "object",
+        required: ["text"],
+        properties: {
+            text,
+            provider,
+            language,
+            context,
+            session_id: { ...SESSION_ID, description: "Save the analysis into this stored session (scope sessions:write)" }
+        }
+    };
+
+    const analyzeOperation = (operationId, summary, extra = {}) => ({
+        operationId,
+        summary,
+        tags: ["Analysis"],
+        ...scoped("analyze"),
+        requestBody: jsonBody(analyzeRequest),
+        responses: {
+            200: json("Analysis", ref("AnalysisResponse")),
+            ...ERRORS
+        },
+        ...extra
+    });
+
+    const streamOperation = (operationId, summary, extra = {}) => ({
+        operationId,
+        summary,
+        description: "Server-Sent Events, in order: accepted, sentiment, keywords, aspects, emotions, summary, then done (the full analysis envelope) or error. Validation failures are answered as plain JSON before the stream opens.",
+        tags: ["Analysis"],
+        ...scoped("analyze"),
+        requestBody: jsonBody(analyzeRequest),
+        responses: {
+            200: { description: "Event stream", content: { "text/event-stream": { schema: { type: "string" } } } },
+            ...ERRORS
+        },
+        ...extra
+    });
+
+    return {
+        openapi: "3.1.0",
+        info: {
+            title: "Sentiment Aura API",
+            version,
+            description: "Sentiment, emotion, aspect and keyword analysis for live transcripts."
+        },
+        tags: [
+            { name: "Service", description: "Health, status, metrics and this document" },
+            { name: "Analysis", description: "Analyze text" },
+            { name: "Sessions", description: "Stored transcripts with their analyses" },
+            { name: "Transcription", description: "Deepgram access" },
+            { name: "Admin", description: "API keys, cache and analysis config" }
+        ],
+        components: {
+            securitySchemes: {
+                apiKey: {
+                    type: "http",
+                    scheme: "bearer",
+                    description: `API key from API_KEYS_FILE. Scopes: ${scopes.join(", ")}. Without a key file, every request is allowed.`
+                }
+            },
+            schemas: {
+                ErrorResponse: {
+                    type: "object",
+                    required: ["success", "error", "timestamp"],
+                    properties: {
+                        success: { const: false },
+                        error: {
+                            type: "object",
+                            required: ["message", "type", "statusCode"],
+                            properties: {
+                                message: { type: "string" },
+                                type: { type: "string", example: "ValidationError" },
+                                statusCode: { type: "integer" },
+                                requestId: { type: "string" },
+                                details: { type: "object", description: "Validation errors always; other errors only in DEBUG mode" },
+                                retryAfter: { type: "integer", description: "Seconds to wait before retrying (rate limit, open circuit)" }
+                            }
+                        },
+                        timestamp: TIMESTAMP
+                    }
+                },
+                ReadinessChecks: {
+                    type: "object",
+                    required: ["provider", "analysis_config"],
+                    properties: {
+                        live: { const: true },
+                        provider: {
+                            type: "object",
+                            properties: { name: { type: "string" }, configured: { type: "boolean" } }
+                        },
+                        analysis_config: {
+                            type: "object",
+                            properties: { loaded: { type: "boolean" }, version: { type: ["string", "null"] } }
+                        },
+                        circuit: ref("CircuitState"),
+                        upstream: {
+                            type: "object",
+                            description: "Cached probe of the provider's API",
+                            required: ["ok", "checked_at", "cached"],
+                            properties: {
+                                ok: { type: "boolean" },
+                                status: { type: ["integer", "string"] },
+                                error: { type: "string" },
+                                latency_ms: { type: "integer" },
+                                checked_at: TIMESTAMP,
+                                cached: { type: "boolean" }
+                            }
+                        },
+                        environment: { type: "string" },
+                        shutting_down: { const: true, description: "Draining in-flight work before exiting" }
+                    }
+                },
+                CircuitState: {
+                    type: "object",
+                    required: ["state"],
+                    properties: {
+                        state: { enum: ["closed", "half_open", "open", "disabled"] },
+                        failures: { type: "integer", description: "Failed calls among the last `calls` remembered" },
+                        calls: { type: "integer" },
+                        failure_threshold: { type: "integer" },
+                        retry_after_ms: { type: "integer" },
+                        changed_at: TIMESTAMP,
+                        rejected: { type: "integer" }
+                    }
+                },
+                Emotions: {
+                    type: "object",
+                    required: EMOTIONS,
+                    properties: Object.fromEntries(EMOTIONS.map(emotion => [emotion, UNIT]))
+                },
+                Aspect: {
+                    type: "object",
+                    required: ["term", "sentiment", "sentiment_label", "span"],
+                    properties: {
+                        term: { type: "string" },
+                        sentiment: UNIT,
+                        sentiment_label: { enum: ["negative", "neutral", "positive"] },
+                        span: {
+                            type: ["object", "null"],
+                            required: ["text", "start", "end"],
+                            properties: {
+                                text: { type: "string" },
+                                start: { type: "integer", minimum: 0 },
+                                end: { type: "integer", minimum: 0 }
+                            }
+                        }
+                    }
+                },
+                AnalysisData: {
+                    type: "object",
+                    required: ["model", "sentiment", "sentiment_label", "confidence", "keywords", "aspects", "tone", "emotions", "arousal", "dominance", "short_summary"],
+                    properties: {
+                        model: { type: "string" },
+                        sentiment: { ...UNIT, description: "0 = very negative, 1 = very positive" },
+                        sentiment_label: { type: "string", example: "positive" },
+                        confidence: UNIT,
+                        keywords: { type: "array", items: { type: "string" }, maxItems: 7 },
+                        aspects: { type: "array", items: ref("Aspect") },
+                        tone: { type: "string" },
+                        emotions: ref("Emotions"),
+                        arousal: UNIT,
+                        dominance: UNIT,
+                        short_summary: { type: "string" },
+                        conversation_sentiment: { ...UNIT, description: "Mood of the whole exchange; only on contextual analyses" },
+                        language: { enum: languages }
+                    }
+                },
+                AnalysisMetadata: {
+                    type: "object",
+                    required: ["timestamp"],
+                    properties: {
+                        timestamp: TIMESTAMP,
+                        processing_time: { type: ["integer", "null"], description: "Milliseconds" },
+                        source: { enum: ["model", "lexicon"] },
+                        provider: { type: "string" },
+                        cache: { enum: ["hit", "miss", "coalesced"] },
+                        cached_at: TIMESTAMP,
+                        context: {
+                            type: "object",
+                            properties: { segments: { type: "integer" }, summarized: { type: "integer" } }
+                        },
+                        validation: {
+                            type: "object",
+                            required: ["valid", "errors", "repaired", "defaulted"],
+                            properties: {
+                                valid: { type: "boolean" },
+                                errors: { type: "array", items: { type: "object" } },
+                                repaired: { type: "array", items: { type: "string" } },
+                                defaulted: { type: "array", items: { type: "string" } },
+                                repair_attempted: { type: "boolean" },
+                                repair_error: { type: "string" }
+                            }
+                        },
+                        language: {
+                            type: "object",
+                            required: ["language", "source"],
+                            properties: {
+                                language: { enum: languages },
+                                confidence: UNIT,
+                                source: { enum: ["request", "detected"] }
+                            }
+                        },
+                        session_id: SESSION_ID,
+                        segment_index: { type: "integer", minimum: 0 },
+                        prompt_version: { type: "string", description: "Prompt templates the analysis was made with; absent for the local provider" },
+                        fallback: {
+                            type: "object",
+                            properties: { from: { type: "string" }, reason: { type: "string" }, statusCode: { type: "integer" } }
+                        },
+                        note: { type: "string" }
+                    }
+                },
+                AnalysisResponse: {
+                    type: "object",
+                    required: ["success", "data", "metadata"],
+                    properties: {
+                        success: { const: true },
+                        data: ref("AnalysisData"),
+                        metadata: ref("AnalysisMetadata"),
+                        debug: { type: "object", description: "Raw provider output, DEBUG mode only" }
+                    }
+                },
+                BatchResult: {
+                    description: "An AnalysisResponse or an ErrorResponse, tagged with the item's id",
+                    type: "object",
+                    required: ["id", "success"],
+                    properties: {
+                        id: { type: ["string", "number"] },
+                        success: { type: "boolean" }
+                    }
+                },
+                Segment: {
+                    type: "object",
+                    required: ["index", "text", "timestamp", "analysis"],
+                    properties: {
+                        index: { type: "integer", minimum: 0 },
+                        segment_id: { type: ["string", "number", "null"] },
+                        text: { type: "string" },
+                        timestamp: TIMESTAMP,
+                        analysis: {
+                            type: ["object", "null"],
+                            properties: { data: ref("AnalysisData"), metadata: ref("AnalysisMetadata") }
+                        },
+                        correction: ref("Correction")
+                    }
+                },
+                Correction: {
+                    type: "object",
+                    required: ["sentiment_label", "sentiment", "note", "corrected_at"],
+                    properties: {
+                        sentiment_label: { enum: ["negative", "neutral", "positive", null] },
+                        sentiment: { ...UNIT, type: ["number", "null"] },
+                        note: { type: ["string", "null"] },
+                        corrected_at: TIMESTAMP
+                    }
+                },
+                Session: {
+                    type: "object",
+                    required: ["id", "created_at", "updated_at", "segments"],
+                    properties: {
+                        id: SESSION_ID,
+                        title: { type: ["string", "null"] },
+                        metadata: { type: "object" },
+                        created_at: TIMESTAMP,
+                        updated_at: TIMESTAMP,
+                        segments: { type: "array", items: ref("Segment") },
+                        experiment: {
+                            type: "object",
+                            description: "Prompt experiment arm the session is pinned to",
+                            required: ["name", "prompt_version"],
+                            properties: { name: { type: "string" }, prompt_version: { type: "string" } }
+                        },
+                        live: { type: "boolean" }
+                    }
+                },
+                SessionSummary: {
+                    type: "object",
+                    required: ["session_id", "created_at", "updated_at", "segment_count", "live"],
+                    properties: {
+                        session_id: SESSION_ID,
+                        title: { type: ["string", "null"] },
+                        created_at: TIMESTAMP,
+                        updated_at: TIMESTAMP,
+                        segment_count: { type: "integer", minimum: 0 },
+                        last_sentiment: { type: ["number", "null"] },
+                        live: { type: "boolean" }
+                    }
+                },
+                VariantReport: {
+                    type: "object",
+                    required: ["prompt_version", "analyses", "model_answers", "fallbacks", "parse_failures", "latency_ms", "confidence", "corrections"],
+                    properties: {
+                        prompt_version: { type: "string" },
+                        analyses: { type: "integer" },
+                        model_answers: { type: "integer" },
+                        fallbacks: { type: "integer" },
+                        parse_failures: { type: "integer", description: "Model output that was not a JSON object" },
+                        parse_failure_rate: { type: ["number", "null"] },
+                        validation: {
+                            type: "object",
+                            description: "Analyses with at least one repaired or defaulted field",
+                            properties: { repaired: { type: "integer" }, defaulted: { type: "integer" } }
+                        },
+                        latency_ms: {
+                            type: "object",
+                            description: "Over the last 1000 uncached analyses",
+                            properties: {
+                                samples: { type: "integer" },
+                                mean: { type: ["integer", "null"] },
+                                p50: { type: ["integer", "null"] },
+                                p95: { type: ["integer", "null"] }
+                            }
+                        },
+                        confidence: {
+                            type: "object",
+                            properties: {
+                                mean: { type: ["number", "null"] },
+                                buckets: {
+                                    type: "array",
+                                    items: { type: "object", properties: { le: { type: "number" }, count: { type: "integer" } } }
+                                }
+                            }
+                        },
+                        corrections: {
+                            type: "object",
+                            properties: {
+                                count: { type: "integer" },
+                                label_agreement: { type: ["number", "null"], description: "Share of corrected labels the analysis already had" },
+                                mean_sentiment_error: { type: ["number", "null"] }
+                            }
+                        }
+                    }
+                },
+                Topic: {
+                    type: "object",
+                    required: ["phrase", "score", "count", "segments", "first_seen", "last_seen"],
+                    properties: {
+                        phrase: { type: "string" },
+                        score: { ...UNIT, description: "Relative to the top topic" },
+                        count: { type: "integer", minimum: 1 },
+                        segments: { type: "integer", minimum: 1 },
+                        first_seen: { type: "integer", minimum: 0, description: "Segment index" },
+                        last_seen: { type: "integer", minimum: 0, description: "Segment index" }
+                    }
+                }
+            }
+        },
+        paths: {
+            "/": {
+                get: {
+                    operationId: "getApiInfo",
+                    summary: "API information",
+                    tags: ["Service"],
+                    responses: {
+                        200: json("Name, version and routes", {
+                            type: "object",
+                            required: ["name", "version", "endpoints"],
+                            properties: {
+                                name: { type: "string" },
+                                version: { type: "string" },
+                                endpoints: { type: "object", additionalProperties: { type: "string" } }
+                            }
+                        })
+                    }
+                }
+            },
+            "/api/health": {
+                get: {
+                    operationId: "getHealth",
+                    summary: "Liveness and readiness together",
+                    tags: ["Service"],
+                    responses: {
+                        200: json("Healthy or degraded", health(["healthy", "degraded"], { uptime: { type: "number" }, checks: ref("ReadinessChecks") })),
+                        503: json("Unhealthy", health(["unhealthy"], { uptime: { type: "number" }, checks: ref("ReadinessChecks") }))
+                    }
+                }
+            },
+            "/api/health/live": {
+                get: {
+                    operationId: "getLiveness",
+                    summary: "Liveness: the process is up (never checks upstreams)",
+                    tags: ["Service"],
+                    responses: {
+                        200: json("Alive", health(["healthy"], { uptime: { type: "number" } }))
+                    }
+                }
+            },
+            "/api/health/ready": {
+                get: {
+                    operationId: "getReadiness",
+                    summary: "Readiness: provider configured, circuit closed, upstream answering",
+                    description: "A failing or recovering provider is reported as degraded (200) while the lexicon fallback can answer, unhealthy (503) otherwise. The upstream probe is cached. A server draining before shutdown is unhealthy (503).",
+                    tags: ["Service"],
+                    responses: {
+                        200: json("Ready", health(["healthy", "degraded"], { checks: ref("ReadinessChecks") })),
+                        503: json("Not ready", health(["unhealthy"], { checks: ref("ReadinessChecks") }))
+                    }
+                }
+            },
+            "/api/status": {
+                get: {
+                    operationId: "getStatus",
+                    summary: "Detailed status",
+                    tags: ["Service"],
+                    responses: {
+                        200: json("Configuration, sessions, rate limit, cache and auth state", {
+                            type: "object",
+                            required: ["status", "configuration"],
+                            properties: { status: { type: "string" }, configuration: { type: "object" } }
+                        })
+                    }
+                }
+            },
+            "/metrics": {
+                get: {
+                    operationId: "getMetrics",
+                    summary: "Prometheus metrics",
+                    tags: ["Service"],
+                    ...scoped("metrics"),
+                    responses: {
+                        200: { description: "Prometheus text format", content: { "text/plain": { schema: { type: "string" } } } },
+                        ...ERRORS
+                    }
+                }
+            },
+            "/api/openapi.json": {
+                get: {
+                    operationId: "getOpenApiDocument",
+                    summary: "This OpenAPI document",
+                    tags: ["Service"],
+                    responses: { 200: json("OpenAPI 3.1 document", { type: "object" }) }
+                }
+            },
+            "/api/docs": {
+                get: {
+                    operationId: "getApiDocs",
+                    summary: "Browsable API documentation",
+                    tags: ["Service"],
+                    responses: { 200: { description: "HTML page", content: { "text/html": { schema: { type: "string" } } } } }
+                }
+            },
+            "/api/process_text": {
+                post: analyzeOperation("analyzeText", "Analyze text sentiment")
+            },
+            "/process_text": {
+                post: analyzeOperation("analyzeTextLegacy", "Analyze text sentiment (original path)")
+            },
+            "/api/process_text/stream": {
+                post: streamOperation("analyzeTextStream", "Analyze text sentiment, streamed as Server-Sent Events")
+            },
+            "/process_text/stream": {
+                post: streamOperation("analyzeTextStreamLegacy", "Analyze text sentiment, streamed (original path)")
+            },
+            "/api/process_batch": {
+                post: {
+                    operationId: "analyzeBatch",
+                    summary: "Analyze many { id, text } segments in one call",
+                    description: "Each item costs one rate-limit token. An item that cannot be analyzed gets its own error instead of failing the batch.",
+                    tags: ["Analysis"],
+                    ...scoped("analyze"),
+                    requestBody: jsonBody({
+                        type: "object",
+                        required: ["items"],
+                        properties: {
+                            items: {
+                                type: "array",
+                                minItems: 1,
+                                maxItems: limits.batch,
+                                items: {
+                                    type: "object",
+                                    required: ["text"],
+                                    properties: {
+                                        id: { type: ["string", "number"], description: "Defaults to the item's index; must be unique", "x-message": "must be a string or number" },
+                                        text: { type: "string", description: "Empty or overlong text fails only its own item" },
+                                        language
+                                    }
+                                }
+                            },
+                            provider,
+                            language
+                        }
+                    }),
+                    responses: {
+                        200: json("One result per item, in order", envelope({
+                            type: "object",
+                            required: ["results"],
+                            properties: { results: { type: "array", items: ref("BatchResult") } }
+                        })),
+                        ...ERRORS
+                    }
+                }
+            },
+            "/api/deepgram/token": {
+                post: {
+                    operationId: "createDeepgramToken",
+                    summary: "Issue a short-lived Deepgram access token",
+                    tags: ["Transcription"],
+                    ...scoped("transcribe"),
+                    responses: {
+                        200: json("Token", envelope({
+                            type: "object",
+                            required: ["access_token", "expires_in", "scheme"],
+                            properties: {
+                                access_token: { type: "string" },
+                                expires_in: { type: "integer" },
+                                scheme: { const: "bearer" }
+                            }
+                        })),
+                        ...ERRORS
+                    }
+                }
+            },
+            "/api/sessions": {
+                get: {
+                    operationId: "listSessions",
+                    summary: "List stored sessions, newest first",
+                    tags: ["Sessions"],
+                    ...scoped("sessions:read"),
+                    parameters: [
+                        queryParam("limit", "Page size", { type: "integer", minimum: 1, maximum: 500, default: 50 }),
+                        queryParam("offset", "Sessions to skip", { type: "integer", minimum: 0, default: 0 })
+                    ],
+                    responses: {
+                        200: json("A page of sessions", envelope({
+                            type: "object",
+                            required: ["sessions", "total", "limit", "offset"],
+                            properties: {
+                                sessions: { type: "array", items: ref("SessionSummary") },
+                                total: { type: "integer" },
+                                limit: { type: "integer" },
+                                offset: { type: "integer" }
+                            }
+                        })),
+                        ...ERRORS
+                    }
+                },
+                post: {
+                    operationId: "createSession",
+                    summary: "Create a session",
+                    tags: ["Sessions"],
+                    ...scoped("sessions:write"),
+                    requestBody: {
+                        required: false,
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        title: { type: ["string", "null"], "x-message": "must be a string" },
+                                        metadata: { type: "object", "x-message": "must be an object" }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        201: json("Created", envelope({ type: "object", required: ["session"], properties: { session: ref("Session") } })),
+                        ...ERRORS
+                    }
+                }
+            },
+            "/api/sessions/{id}": {
+                get: {
+                    operationId: "getSession",
+                    summary: "Fetch a session with its segments and analyses",
+                    tags: ["Sessions"],
+                    ...scoped("sessions:read"),
+                    parameters: [pathParam("id", "Session id", SESSION_ID)],
+                    responses: {
+                        200: json("Session", envelope({ type: "object", required: ["session"], properties: { session: ref("Session") } })),
+                        ...ERRORS
+                    }
+                },
+                delete: {
+                    operationId: "deleteSession",
+                    summary: "Delete a session that is not live",
+                    tags: ["Sessions"],
+                    ...scoped("sessions:write"),
+                    parameters: [pathParam("id", "Session id", SESSION_ID)],
+                    responses: {
+                        200: json("Deleted", envelope({ type: "object", required: ["deleted"], properties: { deleted: SESSION_ID } })),
+                        ...ERRORS
+                    }
+                }
+            },
+            "/api/sessions/{id}/topics": {
+                get: {
+                    operationId: "getSessionTopics",
+                    summary: "Ranked keyphrases across the session",
+                    tags: ["Sessions"],
+                    ...scoped("sessions:read"),
+                    parameters: [
+                        pathParam("id", "Session id", SESSION_ID),
+                        queryParam("limit", "Topics to return", { type: "integer", minimum: 1, maximum: 50, default: 10 })
+                    ],
+                    responses: {
+                        200: json("Topics", envelope({
+                            type: "object",
+                            required: ["session_id", "segment_count", "topics"],
+                            properties: {
+                                session_id: SESSION_ID,
+                                segment_count: { type: "integer" },
+                                topics: { type: "array", items: ref("Topic") }
+                            }
+                        })),
+                        ...ERRORS
+                    }
+                }
+            },
+            "/api/sessions/{id}/segments": {
+                post: {
+                    operationId: "appendSessionSegment",
+                    summary: "Append a segment, optionally analyzing it",
+                    description: "analyze: true also needs scope analyze and costs one rate-limit token.",
+                    tags: ["Sessions"],
+                    ...scoped("sessions:write"),
+                    parameters: [pathParam("id", "Session id", SESSION_ID)],
+                    requestBody: jsonBody({
+                        type: "object",
+                        required: ["text"],
+                        properties: {
+                            text,
+                            segment_id: { type: ["string", "number", "null"] },
+                            timestamp: TIMESTAMP,
+                            analyze: { type: "boolean", default: false },
+                            provider,
+                            language,
+                            context
+                        }
+                    }),
+                    responses: {
+                        201: json("Appended", envelope({ type: "object", required: ["segment"], properties: { segment: ref("Segment") } })),
+                        ...ERRORS
+                    }
+                }
+            },
+            "/api/sessions/{id}/segments/{index}/correction": {
+                post: {
+                    operationId: "correctSessionSegment",
+                    summary: "Record the user's correction of a segment's analysis",
+                    description: "Replaces any earlier correction. Corrections are joined into the experiment report by prompt version.",
+                    tags: ["Sessions"],
+                    ...scoped("sessions:write"),
+                    parameters: [
+                        pathParam("id", "Session id", SESSION_ID),
+                        pathParam("index", "Segment index", { type: "integer", minimum: 0 })
+                    ],
+                    requestBody: jsonBody({
+                        type: "object",
+                        "x-message": "must include sentiment_label or sentiment",
+                        anyOf: [{ required: ["sentiment_label"] }, { required: ["sentiment"] }],
+                        properties: {
+                            sentiment_label: { enum: ["negative", "neutral", "positive"] },
+                            sentiment: UNIT,
+                            note: { type: "string", maxLength: 1000 }
+                        }
+                    }),
+                    responses: {
+                        200: json("Corrected", envelope({ type: "object", required: ["segment"], properties: { segment: ref("Segment") } })),
+                        ...ERRORS
+                    }
+                }
+            },
+            "/api/config": {
+                get: {
+                    operationId: "getAnalysisConfig",
+                    summary: "Analysis config in effect (read-only)",
+                    tags: ["Admin"],
+                    ...scoped("admin"),
+                    responses: {
+                        200: json("Config", envelope({
+                            type: "object",
+                            required: ["version", "source", "hash", "loaded_at", "config"],
+                            properties: {
+                                version: { type: "string" },
+                                source: { type: "string" },
+                                hash: { type: "string" },
+                                loaded_at: TIMESTAMP,
+                                watching: { type: "boolean" },
+                                config: {
+                                    type: "object",
+                                    required: ["version", "sentiment", "limits", "stopwords", "prompts"],
+                                    properties: {
+                                        version: { type: "string" },
+                                        sentiment: { type: "object" },
+                                        limits: {
+                                            type: "object",
+                                            properties: {
+                                                max_text_length: { type: "integer" },
+                                                max_output_tokens: { type: "integer" }
+                                            }
+                                        },
+                                        stopwords: { type: "object", additionalProperties: { type: "array", items: { type: "string" } } },
+                                        prompts: { type: "object" }
+                                    }
+                                }
+                            }
+                        })),
+                        ...ERRORS
+                    }
+                }
+            },
+            "/api/experiments/report": {
+                get: {
+                    operationId: "getExperimentReport",
+                    summary: "Outcomes per prompt version since startup",
+                    description: "Counts, parse failures, latency and confidence come from this process; corrections come from stored sessions.",
+                    tags: ["Admin"],
+                    ...scoped("admin"),
+                    responses: {
+                        200: json("Report", envelope({
+                            type: "object",
+                            required: ["experiment", "default_version", "since", "variants"],
+                            properties: {
+                                experiment: {
+                                    type: ["object", "null"],
+                                    properties: {
+                                        name: { type: "string" },
+                                        variants: { type: "object", additionalProperties: { type: "integer" } }
+                                    }
+                                },
+                                default_version: { type: "string" },
+                                since: TIMESTAMP,
+                                variants: { type: "array", items: ref("VariantReport") }
+                            }
+                        })),
+                        ...ERRORS
+                    }
+                }
+            },
+            "/api/admin/keys": {
+                get: {
+                    operationId: "listApiKeys",
+                    summary: "API keys and usage counters",
+                    tags: ["Admin"],
+                    ...scoped("admin"),
+                    responses: {
+                        200: json("Keys", envelope({ type: "object", required: ["enabled", "keys"], properties: { enabled: { type: "boolean" }, keys: { type: "array" } } })),
+                        ...ERRORS
+                    }
+                }
+            },
+            "/api/admin/cache": {
+                get: {
+                    operationId: "getCache",
+                    summary: "Analysis cache stats and entries",
+                    tags: ["Admin"],
+                    ...scoped("admin"),
+                    responses: {
+                        200: json("Cache", envelope({ type: "object", required: ["stats", "entries"], properties: { stats: { type: "object" }, entries: { type: "array" } } })),
+                        ...ERRORS
+                    }
+                },
+                delete: {
+                    operationId: "purgeCache",
+                    summary: "Purge the analysis cache",
+                    tags: ["Admin"],
+                    ...scoped("admin"),
+                    responses: {
+                        200: json("Purged", envelope({ type: "object", required: ["purged"], properties: { purged: { type: "integer" } } })),
+                        ...ERRORS
+                    }
+                }
+            },
+            "/api/admin/cache/{key}": {
+                delete: {
+                    operationId: "purgeCacheEntry",
+                    summary: "Purge one analysis cache entry",
+                    tags: ["Admin"],
+                    ...scoped("admin"),
+                    parameters: [pathParam("key", "Cache key")],
+                    responses: {
+                        200: json("Purged", envelope({ type: "object", required: ["purged"], properties: { purged: { const: 1 } } })),
+                        ...ERRORS
+                    }
+                }
+            }
+        },
+        "x-websockets": {
+            "/ws/session": { summary: "Live session channel for transcript segments and results", scope: "analyze" },
+            "/ws/deepgram": { summary: "Audio relay to Deepgram using the server-side key", scope: "transcribe" }
+        }
+    };
+}
+
+// ========== OPERATIONS ==========
+const HTTP_METHODS = ["get", "post", "put", "patch", "delete"];
+
+// Flatten the document into one entry per operation, with its path in
+// Express form ("/api/sessions/:id") and JSON pointers to its schemas.
+export function listOperations(document) {
+    return Object.entries(document.paths).flatMap(([route, item]) =>
+        HTTP_METHODS.filter(method => item[method]).map(method => ({
+            method: method.toUpperCase(),
+            path: route.replace(/\{(\w+)\}/g, ":$1"),
+            operationId: item[method].operationId,
+            summary: item[method].summary,
+            scope: item[method].security?.[0]?.apiKey?.[0] ?? null,
+            operation: item[method],
+            pointer: `#/paths/${route.replace(/~/g, "~0").replace(/\//g, "~1")}/${method}`
+        }))
+    );
+}
+
+// A small page that renders the document with Swagger UI
+export function renderDocsPage(specUrl) {
+    return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Sentiment Aura API</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: "#docs" });
+  </script>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,26 @@
+// scripts/create-api-key.js
+// Generates a new backend API key and prints the entry to add to API_KEYS_FILE.
+// The plain key is shown once; only its SHA-256 hash is stored.
+// Usage: npm run keys:create -- <id> [scope,scope,...]
+import crypto from "crypto";
+
+const [id, scopeList = "analyze"] = process.argv.slice(2);
+
+if (!id) {
+    console.error("Usage: npm run keys:create -- <id> [scope,scope,...]");
+    process.exit(1);
+}
+
+const key = `sa_${crypto.randomBytes(24).toString("base64url")}`;
+const entry = {
+    id,
+    name: id,
+    hash: `sha256:${crypto.createHash("sha256").update(key).digest("hex")}`,
+    scopes: scopeList.split(",").map(scope => scope.trim()).filter(Boolean)
+};
+
+console.log("\nAPI key (store it now, it is not saved anywhere):\n");
+console.log(`  ${key}\n`);
+console.log("Add this entry to the \"keys\" array in your API_KEYS_FILE:\n");
+console.log(JSON.stringify(entry, null, 4));
+console.log("");
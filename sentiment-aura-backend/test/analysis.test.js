@@ -0,0 +1,203 @@
+// test/analysis.test.js
+import { test, describe, before } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+
+import { BACKEND_DIR } from "./helpers.js";
+import { ValidationError } from "../errors.js";
+import { emptyEmotions } from "../lexicon.js";
+import {
+    analysisConfig,
+    validateTextInput,
+    validateLanguageInput,
+    parseJsonFromText,
+    validateModelOutput,
+    isParseFailure,
+    analysisSchemaFor,
+    PartialJsonFieldParser,
+    normalizeSentiment,
+    normalizeUnit,
+    deriveSentimentLabel,
+    buildAnalysisResponse
+} from "../analysis.js";
+
+before(() => {
+    analysisConfig.load(path.join(BACKEND_DIR, "analysis-config.json"));
+});
+
+describe("validateTextInput", () => {
+    test("trims and returns valid text", () => {
+        assert.equal(validateTextInput("  hello there  "), "hello there");
+    });
+
+    test("rejects missing, non-string and blank text", () => {
+        assert.throws(() => validateTextInput(undefined), ValidationError);
+        assert.throws(() => validateTextInput(42), { message: "'text' must be a string" });
+        assert.throws(() => validateTextInput("   "), { message: "'text' cannot be empty" });
+    });
+
+    test("rejects text over the configured limit", () => {
+        const max = analysisConfig.current.limits.max_text_length;
+        assert.equal(validateTextInput("a".repeat(max)).length, max);
+        assert.throws(() => validateTextInput("a".repeat(max + 1)), error => {
+            assert.equal(error.statusCode, 400);
+            assert.deepEqual(error.details, { field: "text", length: max + 1, max });
+            return true;
+        });
+    });
+});
+
+describe("validateLanguageInput", () => {
+    test("treats empty and auto as detect", () => {
+        for (const value of [undefined, null, "", "auto"]) assert.equal(validateLanguageInput(value), null);
+    });
+
+    test("rejects unsupported languages", () => {
+        assert.throws(() => validateLanguageInput("xx"), ValidationError);
+    });
+});
+
+describe("parseJsonFromText", () => {
+    test("parses plain JSON", () => {
+        assert.deepEqual(parseJsonFromText('{"sentiment": 0.7}'), { sentiment: 0.7 });
+    });
+
+    test("tolerates code fences, prose and trailing commas", () => {
+        const raw = 'Here you go:\n```json\n{"keywords": ["a", "b",], "tone": "calm",}\n```\nDone.';
+        assert.deepEqual(parseJsonFromText(raw), { keywords: ["a", "b"], tone: "calm" });
+    });
+
+    test("ignores braces inside strings", () => {
+        assert.deepEqual(parseJsonFromText('{"short_summary": "a } b"} trailing'), { short_summary: "a } b" });
+    });
+
+    test("returns null for truncated, invalid or non-object output", () => {
+        assert.equal(parseJsonFromText('{"sentiment": 0.7, "tone": "ca'), null);
+        assert.equal(parseJsonFromText("{'sentiment': 0.7}"), null);
+        assert.equal(parseJsonFromText("no json here"), null);
+        assert.equal(parseJsonFromText(""), null);
+        assert.equal(parseJsonFromText(null), null);
+    });
+});
+
+describe("validateModelOutput", () => {
+    const schema = analysisSchemaFor(null);
+    const valid = {
+        sentiment: 0.8,
+        sentiment_label: "positive",
+        confidence: 0.9,
+        keywords: ["launch"],
+        aspects: [],
+        tone: "excited",
+        emotions: { ...emptyEmotions(), joy: 0.8, anticipation: 0.6 },
+        arousal: 0.7,
+        dominance: 0.6,
+        short_summary: "Excited about the launch."
+    };
+
+    test("passes valid output through", async () => {
+        const { parsed, validation } = await validateModelOutput(valid, { schema });
+        assert.equal(validation.valid, true);
+        assert.deepEqual(parsed, valid);
+    });
+
+    test("drops invalid fields so they are defaulted", async () => {
+        const { parsed, validation } = await validateModelOutput({ ...valid, sentiment: "very" }, { schema });
+        assert.equal(validation.valid, false);
+        assert.deepEqual(validation.defaulted, ["sentiment"]);
+        assert.equal("sentiment" in parsed, false);
+    });
+
+    test("asks for a repair of just the invalid fields", async () => {
+        const asked = [];
+        const repair = async fields => {
+            asked.push(...fields);
+            return { sentiment: 0.75 };
+        };
+
+        const { parsed, validation } = await validateModelOutput({ ...valid, sentiment: "very" }, { schema, repair });
+        assert.deepEqual(asked, ["sentiment"]);
+        assert.deepEqual(validation.repaired, ["sentiment"]);
+        assert.equal(parsed.sentiment, 0.75);
+    });
+
+    test("reports output that is not an object as a parse failure", async () => {
+        const { validation } = await validateModelOutput(null, { schema });
+        assert.equal(isParseFailure(validation), true);
+        assert.deepEqual(validation.defaulted, schema.required);
+    });
+});
+
+describe("PartialJsonFieldParser", () => {
+    test("emits each field once, as soon as it is complete", () => {
+        const parser = new PartialJsonFieldParser();
+
+        assert.deepEqual(parser.push('{"sentiment": 0.6, "tone": "ca'), [["sentiment", 0.6]]);
+        assert.deepEqual(parser.push('lm", "keywords": ["a"'), [["tone", "calm"]]);
+        assert.deepEqual(parser.push("]}"), [["keywords", ["a"]]]);
+    });
+});
+
+describe("normalizers", () => {
+    test("normalizeSentiment clamps numbers and scales percentages", () => {
+        assert.equal(normalizeSentiment(0.3), 0.3);
+        assert.equal(normalizeSentiment(75), 0.75);
+        assert.equal(normalizeSentiment(-1), 0);
+        assert.equal(normalizeSentiment(500), 1);
+    });
+
+    test("normalizeSentiment falls back to the label's configured score", () => {
+        const scores = analysisConfig.current.sentiment.label_scores;
+        assert.equal(normalizeSentiment(undefined, "Positive"), scores.positive);
+        assert.equal(normalizeSentiment(undefined, "negative"), scores.negative);
+        assert.equal(normalizeSentiment(undefined, "unsure"), 0.5);
+        assert.equal(normalizeSentiment(undefined), 0.5);
+    });
+
+    test("normalizeUnit accepts numeric strings and rejects junk", () => {
+        assert.equal(normalizeUnit("0.25"), 0.25);
+        assert.equal(normalizeUnit(40), 0.4);
+        assert.equal(normalizeUnit("high"), null);
+        assert.equal(normalizeUnit(NaN), null);
+    });
+
+    test("deriveSentimentLabel follows the configured thresholds", () => {
+        const { thresholds } = analysisConfig.current.sentiment;
+        assert.equal(deriveSentimentLabel(thresholds.negative - 0.01), "negative");
+        assert.equal(deriveSentimentLabel((thresholds.negative + thresholds.positive) / 2), "neutral");
+        assert.equal(deriveSentimentLabel(thresholds.positive + 0.01), "positive");
+    });
+});
+
+describe("buildAnalysisResponse", () => {
+    test("builds the success envelope from model output", () => {
+        const parsed = {
+            sentiment: 0.9,
+            sentiment_label: "positive",
+            confidence: 0.8,
+            keywords: ["coffee", "coffee", "morning"],
+            tone: "joyful",
+            short_summary: "Loves the morning coffee."
+        };
+        const response = buildAnalysisResponse(parsed, {}, JSON.stringify(parsed), "I love my morning coffee", "test-model");
+
+        assert.equal(response.success, true);
+        assert.equal(response.metadata.source, "model");
+        assert.equal(response.data.model, "test-model");
+        assert.equal(response.data.sentiment, 0.9);
+        assert.deepEqual(response.data.keywords, ["coffee", "morning"]);
+        assert.ok(response.data.emotions.joy > 0);
+        assert.equal(typeof response.data.arousal, "number");
+        assert.equal("debug" in response, false);
+    });
+
+    test("fills in everything the model left out", () => {
+        const response = buildAnalysisResponse({}, {}, "", "The delivery was late and the package was damaged", "test-model", "model");
+
+        assert.equal(response.data.sentiment, 0.5);
+        assert.equal(response.data.sentiment_label, "neutral");
+        assert.ok(response.data.keywords.length > 0);
+        assert.ok(response.data.short_summary);
+        assert.ok(Array.isArray(response.data.aspects));
+    });
+});
@@ -0,0 +1,111 @@
+// test/auth.test.js
+// API keys and scopes: routes answer 401 without a key, 403 for a key
+// lacking the scope, and run for keys (or anonymous callers) that hold it.
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { once } from "events";
+import { WebSocket } from "ws";
+
+import { startApp, client } from "./helpers.js";
+
+const KEYS = {
+    analyst: "sa_test_analyst",
+    admin: "sa_test_admin",
+    retired: "sa_test_retired"
+};
+
+let api;
+let request;
+let keysFile;
+
+const entry = (id, scopes, extra = {}) => ({
+    id,
+    hash: `sha256:${crypto.createHash("sha256").update(KEYS[id]).digest("hex")}`,
+    scopes,
+    ...extra
+});
+
+const bearer = id => ({ headers: { Authorization: `Bearer ${KEYS[id]}` } });
+
+before(async () => {
+    keysFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "sentiment-aura-keys-")), "api-keys.json");
+    fs.writeFileSync(keysFile, JSON.stringify({
+        keys: [
+            entry("analyst", ["analyze", "sessions:read"]),
+            entry("admin", ["admin"]),
+            entry("retired", ["analyze"], { disabled: true })
+        ]
+    }));
+
+    api = await startApp({ API_KEYS_FILE: keysFile, ANONYMOUS_SCOPES: "analyze" });
+    request = client(api.baseUrl);
+});
+
+after(async () => {
+    await api.close();
+    fs.rmSync(path.dirname(keysFile), { recursive: true, force: true });
+});
+
+describe("API keys", () => {
+    test("anonymous callers get the anonymous scopes only", async () => {
+        const analyzed = await request("POST", "/api/process_text", { body: { text: "Anyone may ask this" } });
+        assert.equal(analyzed.status, 200);
+
+        const sessions = await request("GET", "/api/sessions");
+        assert.equal(sessions.status, 401);
+        assert.equal(sessions.body.error.type, "AuthError");
+        assert.match(sessions.headers.get("www-authenticate"), /^Bearer/);
+    });
+
+    test("keys are limited to their scopes", async () => {
+        const sessions = await request("GET", "/api/sessions", bearer("analyst"));
+        assert.equal(sessions.status, 200);
+
+        const keys = await request("GET", "/api/admin/keys", bearer("analyst"));
+        assert.equal(keys.status, 403);
+        assert.equal(keys.body.error.message, "API key 'analyst' lacks scope 'admin'");
+    });
+
+    test("admin holds every scope", async () => {
+        const { status, body } = await request("GET", "/api/admin/keys", bearer("admin"));
+
+        assert.equal(status, 200);
+        assert.equal(body.data.enabled, true);
+        assert.deepEqual(body.data.keys.map(k => k.id), ["analyst", "admin", "retired"]);
+        assert.equal(body.data.keys.find(k => k.id === "analyst").usage.denied, 1);
+
+        assert.equal((await request("GET", "/metrics", bearer("admin"))).status, 200);
+    });
+
+    test("unknown and disabled keys are refused on every route", async () => {
+        const unknown = await request("GET", "/api/health/live", { headers: { Authorization: "Bearer sa_nope" } });
+        assert.equal(unknown.status, 401);
+        assert.equal(unknown.body.error.message, "Invalid API key");
+
+        const disabled = await request("POST", "/api/process_text", { body: { text: "Let me in" }, ...bearer("retired") });
+        assert.equal(disabled.status, 403);
+        assert.equal(disabled.body.error.message, "API key is disabled");
+    });
+
+    test("opening a socket session needs sessions:write", async () => {
+        const before = (await request("GET", "/api/sessions", bearer("analyst"))).body.data.total;
+
+        const ws = new WebSocket(`${api.baseUrl.replace("http", "ws")}/ws/session`, bearer("analyst"));
+        await once(ws, "open");
+        ws.send(JSON.stringify({ type: "open" }));
+        const [raw] = await once(ws, "message");
+        const reply = JSON.parse(raw.toString());
+
+        assert.equal(reply.type, "error");
+        assert.equal(reply.error.statusCode, 403);
+        assert.equal(reply.error.message, "API key 'analyst' lacks scope 'sessions:write'");
+
+        ws.close();
+        await once(ws, "close");
+        assert.equal((await request("GET", "/api/sessions", bearer("analyst"))).body.data.total, before);
+    });
+});
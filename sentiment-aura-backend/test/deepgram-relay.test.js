@@ -0,0 +1,60 @@
+// test/deepgram-relay.test.js
+// The /ws/deepgram audio relay against a stand-in Deepgram live socket:
+// one Results message per audio frame, and CloseStream ends the stream.
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { once } from "events";
+import { WebSocket, WebSocketServer } from "ws";
+
+import { startApp, listen } from "./helpers.js";
+
+let api;
+let deepgram;
+const deepgramSockets = [];
+
+before(async () => {
+    deepgram = http.createServer();
+    new WebSocketServer({ server: deepgram }).on("connection", (socket, req) => {
+        deepgramSockets.push({ url: req.url, authorization: req.headers.authorization });
+        socket.on("message", (data, isBinary) => {
+            if (!isBinary && JSON.parse(data.toString()).type === "CloseStream") return socket.close(1000, "stream closed");
+            socket.send(JSON.stringify({ type: "Results", bytes: data.length }));
+        });
+    });
+
+    const deepgramUrl = await listen(deepgram);
+    api = await startApp({
+        DEEPGRAM_API_KEY: "dg-test-key",
+        DEEPGRAM_LISTEN_URL: `${deepgramUrl.replace("http", "ws")}/v1/listen`
+    });
+});
+
+after(async () => {
+    await api.close();
+    deepgram.close();
+});
+
+describe("WS /ws/deepgram", () => {
+    test("relays audio to Deepgram with the server key and transcripts back", async () => {
+        const ws = new WebSocket(`${api.baseUrl.replace("http", "ws")}/ws/deepgram?model=nova-2&language=en&callback=https://evil.example`);
+        await once(ws, "open");
+
+        // May arrive before the upstream handshake finishes; the relay buffers it
+        ws.send(Buffer.alloc(320), { binary: true });
+        const [raw] = await once(ws, "message");
+        assert.deepEqual(JSON.parse(raw.toString()), { type: "Results", bytes: 320 });
+
+        // Only whitelisted listen parameters reach Deepgram
+        assert.deepEqual(deepgramSockets.at(-1), {
+            url: "/v1/listen?model=nova-2&language=en",
+            authorization: "Token dg-test-key"
+        });
+
+        // Deepgram closing the stream closes the client with the same code
+        ws.send(JSON.stringify({ type: "CloseStream" }));
+        const [code, reason] = await once(ws, "close");
+        assert.equal(code, 1000);
+        assert.equal(reason.toString(), "stream closed");
+    });
+});
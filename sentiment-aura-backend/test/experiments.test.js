@@ -0,0 +1,112 @@
+// test/experiments.test.js
+// Starting a prompt experiment the way the README describes: copy the shipped
+// default version into a candidate, add the experiment with the candidate at
+// weight 0, then raise its weight and reload.
+
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { startApp, client, listen, BACKEND_DIR } from "./helpers.js";
+import { createMockGeminiServer } from "../mock/gemini.js";
+
+const MARKER = "Keep short_summary under ten words.";
+
+let api;
+let request;
+let mock;
+let configDir;
+let configFile;
+let shipped;
+
+function writeConfig(variants) {
+    const { prompts } = shipped;
+    const candidate = structuredClone(prompts.versions[prompts.default]);
+    for (const name of ["standard", "contextual"]) {
+        candidate[name] = [...candidate[name].slice(0, -1), MARKER, ...candidate[name].slice(-1)];
+    }
+
+    fs.writeFileSync(configFile, JSON.stringify({
+        ...shipped,
+        version: `${shipped.version}+experiment`,
+        prompts: { ...prompts, versions: { ...prompts.versions, v5: candidate } },
+        experiment: { name: "shorter-summary", variants }
+    }));
+}
+
+before(async () => {
+    shipped = JSON.parse(fs.readFileSync(path.join(BACKEND_DIR, "analysis-config.json"), "utf8"));
+    configDir = fs.mkdtempSync(path.join(os.tmpdir(), "sentiment-aura-experiment-"));
+    configFile = path.join(configDir, "analysis-config.json");
+    writeConfig({ v4: 100, v5: 0 });
+
+    mock = createMockGeminiServer();
+    api = await startApp({
+        ANALYSIS_PROVIDER: "gemini",
+        ANALYSIS_CONFIG_FILE: configFile,
+        GEMINI_BASE_URL: `${await listen(mock)}/v1beta`,
+        GEMINI_API_KEY: "",
+        GOOGLE_API_KEY: "",
+        CACHE_ENABLED: "false"
+    });
+    request = client(api.baseUrl);
+});
+
+after(async () => {
+    await api.close();
+    mock.close();
+    fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+// Analyze one segment of a stored session; resolves to the prompt version used
+async function analyzeInSession(sessionId, text) {
+    const { status, body } = await request("POST", `/api/sessions/${sessionId}/segments`, { body: { text, analyze: true } });
+    assert.equal(status, 201);
+    return body.data.segment.analysis.metadata.prompt_version;
+}
+
+async function newSession() {
+    return (await request("POST", "/api/sessions", { body: {} })).body.data.session.id;
+}
+
+describe("prompt experiments", () => {
+    test("the shipped config runs no experiment", () => {
+        assert.equal(shipped.experiment, null);
+        assert.ok(shipped.prompts.versions[shipped.prompts.default]);
+    });
+
+    test("a candidate at weight 0 gets no traffic", async () => {
+        for (let i = 0; i < 6; i++) {
+            const version = await analyzeInSession(await newSession(), `Session ${i} is going along nicely today`);
+            assert.equal(version, "v4");
+        }
+        assert.ok(mock.requests.every(r => !r.prompt.includes(MARKER)));
+    });
+
+    test("raising its weight starts the experiment, and sessions keep their version", async () => {
+        writeConfig({ v4: 50, v5: 50 });
+        api.reloadAnalysisConfig("test");
+
+        const assigned = new Map();
+        for (let i = 0; i < 16; i++) {
+            const id = await newSession();
+            assigned.set(id, await analyzeInSession(id, `Session ${i} opens with a cheerful remark`));
+        }
+        assert.deepEqual(new Set(assigned.values()), new Set(["v4", "v5"]));
+
+        for (const [id, version] of assigned) {
+            assert.equal(await analyzeInSession(id, "And it follows up with another thought"), version);
+        }
+
+        const v5Prompts = mock.requests.filter(r => r.prompt.includes(MARKER)).length;
+        assert.equal(v5Prompts, [...assigned.values()].filter(v => v === "v5").length * 2);
+
+        const { body } = await request("GET", "/api/experiments/report");
+        assert.equal(body.data.experiment.name, "shorter-summary");
+        const analyses = Object.fromEntries(body.data.variants.map(v => [v.prompt_version, v.analyses]));
+        assert.equal(analyses.v4 + analyses.v5, 6 + 32);
+        assert.ok(analyses.v5 > 0);
+    });
+});
@@ -0,0 +1,204 @@
+// test/gemini.test.js
+// The Gemini provider against the in-process mock (mock/gemini.js): retries
+// and backoff, the short-text shortcut, caching and the circuit breaker.
+// Tests share one breaker and run in order; the one that opens the circuit
+// goes last.
+import { test, describe, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import { WebSocket } from "ws";
+
+import { startApp, client, listen } from "./helpers.js";
+import { createMockGeminiServer, Scenario } from "../mock/gemini.js";
+import { emptyEmotions } from "../lexicon.js";
+
+// A complete, schema-valid model answer (anything less triggers a repair call)
+const ANSWER = {
+    sentiment: 0.8,
+    sentiment_label: "positive",
+    confidence: 0.9,
+    keywords: ["retry"],
+    aspects: [],
+    tone: "relieved",
+    emotions: { ...emptyEmotions(), joy: 0.6, trust: 0.4 },
+    arousal: 0.4,
+    dominance: 0.6,
+    short_summary: "Answered."
+};
+
+let api;
+let request;
+let mock;
+const unhandled = [];
+
+before(async () => {
+    process.on("unhandledRejection", err => unhandled.push(err));
+
+    mock = createMockGeminiServer();
+    const mockUrl = await listen(mock);
+
+    api = await startApp({
+        ANALYSIS_PROVIDER: "gemini",
+        GEMINI_BASE_URL: `${mockUrl}/v1beta`,
+        GEMINI_API_KEY: "",
+        GOOGLE_API_KEY: "",
+        LEXICON_FALLBACK: "false",
+        CIRCUIT_FAILURE_THRESHOLD: "5",
+        CIRCUIT_WINDOW: "10"
+    });
+    request = client(api.baseUrl);
+});
+
+after(async () => {
+    await api.close();
+    mock.close();
+});
+
+beforeEach(() => {
+    mock.scenario = new Scenario();
+    mock.requests = [];
+});
+
+const generateCalls = () => mock.requests.filter(r => r.action === "generateContent").length;
+
+// Unique text per test, so no answer comes from the cache unless meant to
+const analyze = text => request("POST", "/api/process_text", { body: { text } });
+
+describe("Gemini provider", () => {
+    test("analyzes text with one upstream call", async () => {
+        const { status, body } = await analyze("The onboarding flow felt smooth");
+
+        assert.equal(status, 200);
+        assert.equal(body.metadata.provider, "gemini");
+        assert.equal(body.metadata.source, "model");
+        assert.equal(body.data.short_summary, "Mock analysis.");
+        assert.equal(generateCalls(), 1);
+        assert.match(mock.requests[0].prompt, /The onboarding flow felt smooth/);
+    });
+
+    test("answers very short text without calling the provider", async () => {
+        const { status, body } = await analyze("no");
+
+        assert.equal(status, 200);
+        assert.equal(body.metadata.note, "Text too short for meaningful analysis");
+        assert.equal(mock.requests.length, 0);
+    });
+
+    test("serves a repeated request from the cache", async () => {
+        const first = await analyze("Caching should make this instant");
+        const second = await analyze("Caching should make this instant");
+
+        assert.equal(first.body.metadata.cache, "miss");
+        assert.equal(second.body.metadata.cache, "hit");
+        assert.equal(generateCalls(), 1);
+
+        const { body } = await request("GET", "/api/admin/cache");
+        const entry = body.data.entries.find(e => e.text === "caching should make this instant");
+        assert.equal(entry.hits, 1);
+
+        const deleted = await request("DELETE", `/api/admin/cache/${encodeURIComponent(entry.key)}`);
+        assert.equal(deleted.status, 200);
+        assert.equal((await analyze("Caching should make this instant")).body.metadata.cache, "miss");
+    });
+});
+
+describe("session socket", () => {
+    test("a segment whose analysis fails is stored once, by the client's HTTP retry", async () => {
+        mock.scenario = new Scenario({ steps: [{ status: 400, error: "Invalid request" }] });
+
+        const ws = new WebSocket(`${api.baseUrl.replace("http", "ws")}/ws/session`);
+        const messages = [];
+        ws.on("message", raw => messages.push(JSON.parse(raw.toString())));
+        await once(ws, "open");
+
+        ws.send(JSON.stringify({ type: "open" }));
+        while (!messages.some(m => m.type === "opened")) await once(ws, "message");
+        const sessionId = messages.find(m => m.type === "opened").session_id;
+
+        const text = "This segment will fail the first time";
+        ws.send(JSON.stringify({ type: "segment", segment_id: 0, text, is_final: true }));
+        while (!messages.some(m => m.type === "error")) await once(ws, "message");
+        assert.equal(messages.find(m => m.type === "error").segment_id, 0);
+
+        // What the frontend does with a failed segment
+        const retried = await request("POST", "/api/process_text", { body: { text, session_id: sessionId } });
+        assert.equal(retried.status, 200);
+
+        ws.close();
+        await once(ws, "close");
+
+        const { body } = await request("GET", `/api/sessions/${sessionId}`);
+        assert.deepEqual(body.data.session.segments.map(segment => segment.text), [text]);
+        assert.ok(body.data.session.segments[0].analysis);
+    });
+});
+
+describe("retries and backoff", () => {
+    test("retries server errors with exponential backoff", async () => {
+        mock.scenario = new Scenario({
+            steps: [
+                { status: 500 },
+                { status: 503 },
+                { json: { ...ANSWER, short_summary: "Third time lucky." } }
+            ]
+        });
+
+        const started = Date.now();
+        const { status, body } = await analyze("Retries should hide flaky upstreams");
+
+        assert.equal(status, 200);
+        assert.equal(body.data.short_summary, "Third time lucky.");
+        assert.equal(generateCalls(), 3);
+        // 1s after the first failure, 2s after the second
+        assert.ok(Date.now() - started >= 2900, `answered after ${Date.now() - started}ms`);
+    });
+
+    test("retries a 429 after the upstream's Retry-After", async () => {
+        mock.scenario = new Scenario({
+            steps: [{ status: 429, retryAfter: 2 }]
+        });
+
+        const started = Date.now();
+        const { status } = await analyze("Rate limits upstream should be waited out");
+
+        assert.equal(status, 200);
+        assert.equal(generateCalls(), 2);
+        assert.ok(Date.now() - started >= 1900, `answered after ${Date.now() - started}ms`);
+    });
+
+    test("does not retry other client errors", async () => {
+        mock.scenario = new Scenario({
+            steps: [{ status: 400, error: "Invalid request" }]
+        });
+
+        const { status, body } = await analyze("A bad request will not get better");
+
+        assert.equal(status, 400);
+        assert.equal(body.success, false);
+        assert.equal(body.error.type, "GeminiAPIError");
+        assert.equal(generateCalls(), 1);
+
+        // Nobody else waited on the failed call; its rejection must not go unhandled
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(unhandled, []);
+    });
+
+    test("opens the circuit after repeated failures and then fails fast", async () => {
+        mock.scenario = new Scenario({ after: "repeat", steps: [{ status: 503 }] });
+
+        // Earlier tests already recorded three failures; two more open the circuit
+        const failed = await analyze("The upstream is down for good");
+        assert.equal(failed.status, 503);
+
+        const callsBefore = generateCalls();
+        const { status, body } = await analyze("Nobody should call the upstream now");
+
+        assert.equal(status, 503);
+        assert.equal(body.error.type, "CircuitOpenError");
+        assert.ok(body.error.retryAfter > 0);
+        assert.equal(generateCalls(), callsBefore);
+
+        const { body: described } = await request("GET", "/api/status");
+        assert.equal(described.configuration.providers.gemini.circuit.state, "open");
+    });
+});
@@ -0,0 +1,82 @@
+// test/helpers.js
+// Shared setup for the HTTP tests
+//
+// Config is read from the environment when config.js is first imported, so
+// a test file calls startApp() (which sets the environment, then imports the
+// app) before anything else touches the backend modules. node --test runs
+// each file in its own process, so every file gets a fresh app.
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { once } from "events";
+import { fileURLToPath } from "url";
+
+export const BACKEND_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// Quiet, isolated defaults; a developer's .env never overrides variables that are already set
+const TEST_ENV = {
+    NODE_ENV: "test",
+    LOG_LEVEL: "error",
+    LOG_FORMAT: "json",
+    LOG_FILE: "",
+    ANALYSIS_PROVIDER: "local",
+    ANALYSIS_CONFIG_FILE: path.join(BACKEND_DIR, "analysis-config.json"),
+    API_KEYS_FILE: "",
+    ANONYMOUS_SCOPES: "",
+    CACHE_FILE: "",
+    DEEPGRAM_API_KEY: "",
+    RATE_LIMIT: "0",
+    VALIDATE_RESPONSES: "true"
+};
+
+// Start the app on an ephemeral port, with `env` overriding TEST_ENV. Resolves to
+// everything app.js exports plus the app, its server, baseUrl and close().
+export async function startApp(env = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "sentiment-aura-test-"));
+    Object.assign(process.env, TEST_ENV, { SESSIONS_DIR: path.join(dataDir, "sessions") }, env);
+
+    const appModule = await import("../app.js");
+    const app = await appModule.createApp();
+
+    const server = app.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    appModule.attachSocketRoutes(server);
+
+    return {
+        ...appModule,
+        app,
+        server,
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        async close() {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+// Small fetch wrapper: JSON in, { status, headers, body } out. body is the
+// parsed JSON, or the raw text when the response is not JSON.
+export function client(baseUrl) {
+    return async function request(method, url, { body, headers = {}, raw } = {}) {
+        const res = await fetch(`${baseUrl}${url}`, {
+            method,
+            headers: { ...(body !== undefined || raw !== undefined ? { "Content-Type": "application/json" } : {}), ...headers },
+            body: raw ?? (body !== undefined ? JSON.stringify(body) : undefined)
+        });
+
+        const text = await res.text();
+        let parsed = text;
+        if ((res.headers.get("content-type") || "").includes("application/json")) parsed = JSON.parse(text);
+
+        return { status: res.status, headers: res.headers, body: parsed };
+    };
+}
+
+// Start a plain HTTP server on an ephemeral port; resolves to its base URL
+export async function listen(server) {
+    server.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    return `http://127.0.0.1:${server.address().port}`;
+}
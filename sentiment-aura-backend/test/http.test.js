@@ -0,0 +1,440 @@
+// test/http.test.js
+// Every route over HTTP, against the local lexicon provider (no network).
+// A stand-in Deepgram answers the token route.
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { once } from "events";
+import { WebSocket } from "ws";
+
+import { startApp, client, listen } from "./helpers.js";
+
+let api;
+let request;
+let deepgram;
+const deepgramCalls = [];
+
+before(async () => {
+    deepgram = http.createServer((req, res) => {
+        deepgramCalls.push({ url: req.url, authorization: req.headers.authorization });
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ access_token: "dg-temporary", expires_in: 30 }));
+    });
+
+    api = await startApp({
+        DEEPGRAM_API_KEY: "dg-test-key",
+        DEEPGRAM_API_URL: await listen(deepgram)
+    });
+    request = client(api.baseUrl);
+});
+
+after(async () => {
+    await api.close();
+    deepgram.close();
+});
+
+// Parse a text/event-stream body into [{ event, data }]
+function parseEvents(body) {
+    return body.split("\n\n").filter(Boolean).map(block => {
+        const lines = Object.fromEntries(block.split("\n").map(line => [line.slice(0, line.indexOf(":")), line.slice(line.indexOf(":") + 2)]));
+        return { event: lines.event, data: JSON.parse(lines.data) };
+    });
+}
+
+describe("service routes", () => {
+    test("GET / describes the API", async () => {
+        const { status, body } = await request("GET", "/");
+        assert.equal(status, 200);
+        assert.equal(body.status, "operational");
+    });
+
+    test("GET /api/health/live, /api/health/ready and /api/health", async () => {
+        const live = await request("GET", "/api/health/live");
+        assert.equal(live.status, 200);
+        assert.equal(live.body.status, "healthy");
+
+        const ready = await request("GET", "/api/health/ready");
+        assert.equal(ready.status, 200);
+        assert.equal(ready.body.status, "healthy");
+
+        const health = await request("GET", "/api/health");
+        assert.equal(health.status, 200);
+        assert.equal(health.body.checks.live, true);
+        assert.equal(health.body.checks.environment, "test");
+    });
+
+    test("GET /api/status", async () => {
+        const { status, body } = await request("GET", "/api/status");
+        assert.equal(status, 200);
+        assert.equal(body.status, "operational");
+    });
+
+    test("GET /api/openapi.json and /api/docs", async () => {
+        const spec = await request("GET", "/api/openapi.json");
+        assert.equal(spec.status, 200);
+        assert.match(spec.body.openapi, /^3\./);
+        assert.ok(spec.body.paths["/api/process_text"]);
+
+        const docs = await request("GET", "/api/docs");
+        assert.equal(docs.status, 200);
+        assert.match(docs.headers.get("content-type"), /text\/html/);
+    });
+
+    test("GET /metrics", async () => {
+        const { status, body } = await request("GET", "/metrics");
+        assert.equal(status, 200);
+        assert.match(body, /^# TYPE sentiment_aura_http_requests_total counter$/m);
+    });
+});
+
+describe("POST /api/process_text", () => {
+    test("analyzes text", async () => {
+        const { status, headers, body } = await request("POST", "/api/process_text", {
+            body: { text: "I absolutely love this wonderful product" }
+        });
+
+        assert.equal(status, 200);
+        assert.ok(headers.get("x-request-id"));
+        assert.equal(body.success, true);
+        assert.equal(body.data.sentiment_label, "positive");
+        assert.equal(body.metadata.provider, "local");
+        assert.equal(typeof body.metadata.processing_time, "number");
+    });
+
+    test("answers very short text without analyzing it", async () => {
+        const { status, body } = await request("POST", "/api/process_text", { body: { text: "ok" } });
+
+        assert.equal(status, 200);
+        assert.equal(body.data.sentiment, 0.5);
+        assert.equal(body.data.sentiment_label, "neutral");
+        assert.equal(body.data.short_summary, "ok");
+        assert.equal(body.metadata.note, "Text too short for meaningful analysis");
+    });
+
+    test("rejects a missing text field", async () => {
+        const { status, body } = await request("POST", "/api/process_text", { body: {} });
+
+        assert.equal(status, 400);
+        assert.equal(body.success, false);
+        assert.equal(body.error.type, "ValidationError");
+        assert.equal(body.error.details.field, "text");
+    });
+
+    test("rejects blank and wrongly typed text", async () => {
+        const blank = await request("POST", "/api/process_text", { body: { text: "   " } });
+        assert.equal(blank.status, 400);
+        assert.equal(blank.body.error.details.field, "text");
+
+        const number = await request("POST", "/api/process_text", { body: { text: 42 } });
+        assert.equal(number.status, 400);
+        assert.equal(number.body.error.details.field, "text");
+    });
+
+    test("rejects unknown providers and languages", async () => {
+        const provider = await request("POST", "/api/process_text", { body: { text: "hello world", provider: "nope" } });
+        assert.equal(provider.status, 400);
+        assert.equal(provider.body.error.details.field, "provider");
+
+        const language = await request("POST", "/api/process_text", { body: { text: "hello world", language: "xx" } });
+        assert.equal(language.status, 400);
+        assert.equal(language.body.error.details.field, "language");
+    });
+
+    test("the legacy /process_text route answers too", async () => {
+        const { status, body } = await request("POST", "/process_text", { body: { text: "What a great day" } });
+        assert.equal(status, 200);
+        assert.equal(body.success, true);
+    });
+});
+
+describe("POST /api/process_text/stream", () => {
+    test("streams field events, then the full response", async () => {
+        const { status, headers, body } = await request("POST", "/api/process_text/stream", {
+            body: { text: "The new release is fantastic and fast" }
+        });
+
+        assert.equal(status, 200);
+        assert.match(headers.get("content-type"), /text\/event-stream/);
+
+        const events = parseEvents(body);
+        const names = events.map(e => e.event);
+        assert.equal(names[0], "accepted");
+        assert.equal(names.at(-1), "done");
+        assert.ok(names.includes("sentiment"));
+        assert.equal(events.at(-1).data.success, true);
+    });
+
+    test("reports validation errors as JSON before the stream opens", async () => {
+        const { status, body } = await request("POST", "/api/process_text/stream", { body: { text: "" } });
+        assert.equal(status, 400);
+        assert.equal(body.error.type, "ValidationError");
+    });
+
+    test("the legacy /process_text/stream route answers too", async () => {
+        const { status, body } = await request("POST", "/process_text/stream", { body: { text: "Not bad at all" } });
+        assert.equal(status, 200);
+        assert.equal(parseEvents(body).at(-1).event, "done");
+    });
+});
+
+describe("POST /api/process_batch", () => {
+    test("analyzes every item and reports failures per item", async () => {
+        const { status, body } = await request("POST", "/api/process_batch", {
+            body: { items: [{ id: "a", text: "I love it" }, { id: "b", text: "   " }, { id: "c", text: "hi" }] }
+        });
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.data.results.map(r => [r.id, r.success]), [["a", true], ["b", false], ["c", true]]);
+        assert.equal(body.metadata.succeeded, 2);
+        assert.equal(body.metadata.failed, 1);
+    });
+
+    test("rejects duplicate ids and empty batches", async () => {
+        const duplicate = await request("POST", "/api/process_batch", {
+            body: { items: [{ id: 1, text: "one" }, { id: 1, text: "two" }] }
+        });
+        assert.equal(duplicate.status, 400);
+        assert.equal(duplicate.body.error.details.field, "items[1].id");
+
+        const empty = await request("POST", "/api/process_batch", { body: { items: [] } });
+        assert.equal(empty.status, 400);
+    });
+});
+
+describe("sessions", () => {
+    let sessionId;
+
+    test("POST /api/sessions creates a session", async () => {
+        const { status, body } = await request("POST", "/api/sessions", { body: { title: "Standup" } });
+
+        assert.equal(status, 201);
+        assert.equal(body.data.session.title, "Standup");
+        sessionId = body.data.session.id;
+    });
+
+    test("POST /api/sessions/:id/segments stores and optionally analyzes segments", async () => {
+        const plain = await request("POST", `/api/sessions/${sessionId}/segments`, { body: { text: "Morning everyone" } });
+        assert.equal(plain.status, 201);
+        assert.equal(plain.body.data.segment.analysis, null);
+
+        const analyzed = await request("POST", `/api/sessions/${sessionId}/segments`, {
+            body: { text: "The deployment went great and customers are happy", analyze: true }
+        });
+        assert.equal(analyzed.status, 201);
+        assert.equal(analyzed.body.data.segment.analysis.data.sentiment_label, "positive");
+    });
+
+    test("GET /api/sessions and /api/sessions/:id", async () => {
+        const list = await request("GET", "/api/sessions");
+        assert.equal(list.status, 200);
+        assert.ok(list.body.data.sessions.some(s => s.session_id === sessionId));
+
+        const one = await request("GET", `/api/sessions/${sessionId}`);
+        assert.equal(one.status, 200);
+        assert.equal(one.body.data.session.segments.length, 2);
+        assert.equal(one.body.data.session.live, false);
+    });
+
+    test("GET /api/sessions/:id/topics", async () => {
+        const { status, body } = await request("GET", `/api/sessions/${sessionId}/topics`);
+        assert.equal(status, 200);
+        assert.equal(body.data.segment_count, 2);
+        assert.ok(Array.isArray(body.data.topics));
+    });
+
+    test("POST /api/sessions/:id/segments/:index/correction", async () => {
+        const ok = await request("POST", `/api/sessions/${sessionId}/segments/1/correction`, {
+            body: { sentiment_label: "neutral", note: "sarcastic" }
+        });
+        assert.equal(ok.status, 200);
+        assert.equal(ok.body.data.segment.correction.sentiment_label, "neutral");
+
+        const bad = await request("POST", `/api/sessions/${sessionId}/segments/-1/correction`, {
+            body: { sentiment_label: "neutral" }
+        });
+        assert.equal(bad.status, 400);
+    });
+
+    test("unknown sessions are 404s", async () => {
+        const { status, body } = await request("GET", "/api/sessions/does-not-exist");
+        assert.equal(status, 404);
+        assert.equal(body.error.type, "NotFoundError");
+    });
+
+    test("DELETE /api/sessions/:id", async () => {
+        const { status, body } = await request("DELETE", `/api/sessions/${sessionId}`);
+        assert.equal(status, 200);
+        assert.equal(body.data.deleted, sessionId);
+
+        const gone = await request("GET", `/api/sessions/${sessionId}`);
+        assert.equal(gone.status, 404);
+    });
+});
+
+describe("admin routes", () => {
+    test("GET /api/config", async () => {
+        const { status, body } = await request("GET", "/api/config");
+        assert.equal(status, 200);
+        assert.ok(body.data.config.sentiment.thresholds);
+    });
+
+    test("GET /api/experiments/report", async () => {
+        const { status, body } = await request("GET", "/api/experiments/report");
+        assert.equal(status, 200);
+        assert.ok(body.data.variants.some(v => v.prompt_version === body.data.default_version));
+    });
+
+    test("GET /api/admin/keys", async () => {
+        const { status, body } = await request("GET", "/api/admin/keys");
+        assert.equal(status, 200);
+        assert.equal(body.data.enabled, false);
+    });
+
+    test("GET and DELETE /api/admin/cache", async () => {
+        const listed = await request("GET", "/api/admin/cache");
+        assert.equal(listed.status, 200);
+        assert.equal(listed.body.data.stats.enabled, true);
+
+        const missing = await request("DELETE", "/api/admin/cache/unknown");
+        assert.equal(missing.status, 404);
+        assert.equal(missing.body.error.type, "NotFoundError");
+
+        const cleared = await request("DELETE", "/api/admin/cache");
+        assert.equal(cleared.status, 200);
+        assert.equal(cleared.body.data.purged, 0);
+    });
+});
+
+describe("POST /api/deepgram/token", () => {
+    test("exchanges the server key for a short-lived token", async () => {
+        const { status, headers, body } = await request("POST", "/api/deepgram/token");
+
+        assert.equal(status, 200);
+        assert.equal(headers.get("cache-control"), "no-store");
+        assert.deepEqual(body.data, { access_token: "dg-temporary", expires_in: 30, scheme: "bearer" });
+        assert.deepEqual(deepgramCalls.at(-1), { url: "/v1/auth/grant", authorization: "Token dg-test-key" });
+    });
+});
+
+describe("WS /ws/session", () => {
+    test("opens a session and analyzes final segments", async () => {
+        const ws = new WebSocket(`${api.baseUrl.replace("http", "ws")}/ws/session`);
+        const messages = [];
+        const waitFor = type => new Promise(resolve => {
+            const check = () => {
+                const found = messages.find(m => m.type === type);
+                if (found) return resolve(found);
+                ws.once("message", check);
+            };
+            check();
+        });
+        ws.on("message", raw => messages.push(JSON.parse(raw.toString())));
+        await once(ws, "open");
+
+        ws.send(JSON.stringify({ type: "open" }));
+        const opened = await waitFor("opened");
+        assert.equal(opened.resumed, false);
+
+        ws.send(JSON.stringify({ type: "segment", segment_id: "s1", text: "This is going really well", is_final: true }));
+        const analysis = await waitFor("analysis");
+        assert.equal(analysis.segment_id, "s1");
+        assert.equal(analysis.success, true);
+
+        ws.send(JSON.stringify({ type: "bogus" }));
+        const error = await waitFor("error");
+        assert.equal(error.error.type, "ValidationError");
+
+        ws.close();
+        await once(ws, "close");
+
+        // The socket created a stored session
+        const stored = await request("GET", `/api/sessions/${opened.session_id}`);
+        assert.equal(stored.status, 200);
+    });
+
+    test("a second open on the same socket is refused, even while the first is pending", async () => {
+        const before = (await request("GET", "/api/sessions")).body.data.total;
+
+        const ws = new WebSocket(`${api.baseUrl.replace("http", "ws")}/ws/session`);
+        const messages = [];
+        ws.on("message", raw => messages.push(JSON.parse(raw.toString())));
+        await once(ws, "open");
+
+        ws.send(JSON.stringify({ type: "open" }));
+        ws.send(JSON.stringify({ type: "open" }));
+        while (messages.length < 2) await once(ws, "message");
+
+        assert.deepEqual(messages.map(m => m.type).sort(), ["error", "opened"]);
+        assert.equal(messages.find(m => m.type === "error").error.type, "ValidationError");
+
+        ws.close();
+        await once(ws, "close");
+        assert.equal((await request("GET", "/api/sessions")).body.data.total, before + 1);
+    });
+
+    test("a socket that closes while its session is opening leaves the session free to resume", async () => {
+        const listIds = async () => (await request("GET", "/api/sessions")).body.data.sessions.map(s => s.session_id);
+        const before = new Set(await listIds());
+        const url = `${api.baseUrl.replace("http", "ws")}/ws/session`;
+
+        const gone = new WebSocket(url);
+        await once(gone, "open");
+        gone.send(JSON.stringify({ type: "open" }));
+        gone.terminate();
+
+        // The session is stored even though "opened" never reached the client
+        let sessionId;
+        while (!sessionId) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+            sessionId = (await listIds()).find(id => !before.has(id));
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        assert.equal((await request("GET", `/api/sessions/${sessionId}`)).body.data.session.live, false);
+
+        const ws = new WebSocket(url);
+        await once(ws, "open");
+        ws.send(JSON.stringify({ type: "open", session_id: sessionId }));
+        const [raw] = await once(ws, "message");
+        const reply = JSON.parse(raw.toString());
+        assert.equal(reply.type, "opened");
+        assert.equal(reply.resumed, true);
+
+        ws.close();
+        await once(ws, "close");
+        assert.equal((await request("DELETE", `/api/sessions/${sessionId}`)).status, 200);
+    });
+});
+
+describe("fallback handlers", () => {
+    test("unknown routes get the 404 envelope", async () => {
+        const { status, body } = await request("GET", "/api/nope");
+
+        assert.equal(status, 404);
+        assert.deepEqual(body.error, {
+            message: "Endpoint not found",
+            type: "NotFoundError",
+            statusCode: 404,
+            path: "/api/nope",
+            method: "GET"
+        });
+    });
+
+    test("malformed JSON reaches the global error handler", async () => {
+        const { status, body } = await request("POST", "/api/process_text", { raw: '{"text": ' });
+
+        assert.equal(status, 400);
+        assert.equal(body.success, false);
+        assert.equal(body.error.type, "SyntaxError");
+        assert.equal(body.error.statusCode, 400);
+    });
+
+    test("oversized bodies reach the global error handler", async () => {
+        const { status, body } = await request("POST", "/api/process_text", {
+            body: { text: "a".repeat(100 * 1024) }
+        });
+
+        assert.equal(status, 413);
+        assert.equal(body.error.statusCode, 413);
+    });
+});
@@ -0,0 +1,26 @@
+// test/lexicon.test.js
+// The offline lexicon scorer: negation stays inside its clause
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { scoreText } from "../lexicon.js";
+
+describe("scoreText negation", () => {
+    test("a negation flips a sentiment word in its own clause", () => {
+        const { sentiment, hits } = scoreText("that is not great");
+        assert.ok(sentiment < 0.5, `scored ${sentiment}`);
+        assert.ok(hits.find(hit => hit.word === "great").valence < 0);
+    });
+
+    test("a comma ends the negation's reach", () => {
+        const { sentiment, tone, hits } = scoreText("no, that is great");
+        assert.ok(sentiment > 0.5, `scored ${sentiment}`);
+        assert.notEqual(tone, "upset");
+        assert.ok(hits.find(hit => hit.word === "great").valence > 0);
+    });
+
+    test("sentence ends and contrastives end it too", () => {
+        assert.ok(scoreText("Not now. Great work").sentiment > 0.5);
+        assert.ok(scoreText("not that but great").sentiment > 0.5);
+    });
+});
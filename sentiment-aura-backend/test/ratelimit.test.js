@@ -0,0 +1,131 @@
+// test/ratelimit.test.js
+// Rate limiting with a small bucket: every limited route answers 429 with
+// Retry-After and X-RateLimit-* headers, and a batch pays per item. Each
+// test claims its own client address (TRUST_PROXY + X-Forwarded-For), so
+// tests never share a bucket.
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+
+import { startApp, client, listen } from "./helpers.js";
+
+const LIMIT = 5;
+
+let api;
+let request;
+let deepgram;
+let nextClient = 1;
+
+before(async () => {
+    deepgram = http.createServer((req, res) => {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ access_token: "dg-temporary", expires_in: 30 }));
+    });
+
+    api = await startApp({
+        RATE_LIMIT: String(LIMIT),
+        RATE_LIMIT_WINDOW: "60000",
+        TRUST_PROXY: "true",
+        DEEPGRAM_API_KEY: "dg-test-key",
+        DEEPGRAM_API_URL: await listen(deepgram)
+    });
+    request = client(api.baseUrl);
+});
+
+after(async () => {
+    await api.close();
+    deepgram.close();
+});
+
+// A fresh client address, so the test starts with a full bucket
+function newClient() {
+    const headers = { "X-Forwarded-For": `203.0.113.${nextClient++}` };
+    return (method, url, options = {}) => request(method, url, { ...options, headers: { ...headers, ...options.headers } });
+}
+
+function assertLimited(res, label, remaining = 0) {
+    assert.equal(res.status, 429, label);
+    assert.equal(res.body.error.type, "RateLimitError", label);
+    assert.ok(Number(res.headers.get("retry-after")) >= 1, `${label}: Retry-After`);
+    assert.equal(res.headers.get("x-ratelimit-limit"), String(LIMIT), label);
+    assert.equal(res.headers.get("x-ratelimit-remaining"), String(remaining), label);
+    assert.ok(Number(res.headers.get("x-ratelimit-reset")) > 0, `${label}: X-RateLimit-Reset`);
+}
+
+const batchOf = count => ({
+    items: Array.from({ length: count }, (_, i) => ({ id: `item-${i}`, text: `Batch item number ${i} sounds fine` }))
+});
+
+describe("limited routes", () => {
+    const routes = [
+        ["POST /api/process_text", "POST", "/api/process_text", { text: "Rate limits apply here" }],
+        ["POST /process_text", "POST", "/process_text", { text: "Rate limits apply here" }],
+        ["POST /api/process_text/stream", "POST", "/api/process_text/stream", { text: "Rate limits apply here" }],
+        ["POST /process_text/stream", "POST", "/process_text/stream", { text: "Rate limits apply here" }],
+        ["POST /api/process_batch", "POST", "/api/process_batch", batchOf(1)],
+        ["POST /api/deepgram/token", "POST", "/api/deepgram/token", {}]
+    ];
+
+    for (const [label, method, url, body] of routes) {
+        test(`${label} answers 429 with rate-limit headers once the bucket is empty`, async () => {
+            const call = newClient();
+
+            for (let i = 0; i < LIMIT; i++) {
+                const res = await call(method, url, { body });
+                assert.equal(res.status, 200, `call ${i + 1}`);
+                assert.equal(res.headers.get("x-ratelimit-remaining"), String(LIMIT - i - 1));
+            }
+
+            assertLimited(await call(method, url, { body }), label);
+        });
+    }
+
+    test("POST /api/sessions/:id/segments limits analyzed segments only", async () => {
+        const call = newClient();
+        const { body: created } = await call("POST", "/api/sessions", { body: {} });
+        const url = `/api/sessions/${created.data.session.id}/segments`;
+
+        for (let i = 0; i < LIMIT; i++) {
+            const res = await call("POST", url, { body: { text: `Analyzed segment ${i} sounds great`, analyze: true } });
+            assert.equal(res.status, 201);
+            assert.equal(res.headers.get("x-ratelimit-remaining"), String(LIMIT - i - 1));
+        }
+
+        assertLimited(await call("POST", url, { body: { text: "One analysis too many", analyze: true } }), "segments");
+
+        const stored = await call("POST", url, { body: { text: "Storing without analysis is free" } });
+        assert.equal(stored.status, 201);
+    });
+});
+
+describe("batch cost", () => {
+    test("a batch costs one token per item", async () => {
+        const call = newClient();
+
+        const first = await call("POST", "/api/process_batch", { body: batchOf(3) });
+        assert.equal(first.status, 200);
+        assert.equal(first.headers.get("x-ratelimit-remaining"), String(LIMIT - 3));
+
+        // Two tokens left: a three-item batch is refused and charges nothing
+        assertLimited(await call("POST", "/api/process_batch", { body: batchOf(3) }), "batch over the remaining tokens", 2);
+
+        const second = await call("POST", "/api/process_batch", { body: batchOf(2) });
+        assert.equal(second.status, 200);
+        assert.equal(second.body.data.results.length, 2);
+    });
+
+    test("a batch larger than the bucket is always refused", async () => {
+        const call = newClient();
+
+        const res = await call("POST", "/api/process_batch", { body: batchOf(50) });
+        assert.equal(res.status, 429);
+        assert.equal(res.body.error.type, "RateLimitError");
+        assert.match(res.body.error.message, /costs 50 tokens/);
+        assert.ok(Number(res.headers.get("retry-after")) >= 1);
+        assert.equal(res.headers.get("x-ratelimit-limit"), String(LIMIT));
+
+        // Nothing was charged
+        const next = await call("POST", "/api/process_text", { body: { text: "The bucket is still full" } });
+        assert.equal(next.headers.get("x-ratelimit-remaining"), String(LIMIT - 1));
+    });
+});
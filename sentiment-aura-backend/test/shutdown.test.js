@@ -0,0 +1,122 @@
+// test/shutdown.test.js
+// Graceful shutdown, end to end: one shutdown with a request that finishes
+// in time, one that outlives the deadline, a session socket with a queued
+// analysis, and a readiness check arriving while the server drains.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import net from "net";
+import path from "path";
+import { once } from "events";
+import { WebSocket } from "ws";
+
+import { startApp, client, listen } from "./helpers.js";
+import { createMockGeminiServer, Scenario } from "../mock/gemini.js";
+
+let api;
+let mock;
+
+before(async () => {
+    mock = createMockGeminiServer({
+        scenario: new Scenario({
+            after: "repeat",
+            steps: [
+                { match: "QUICK", delayMs: 400 },
+                { match: "SLOW", delayMs: 2500 },
+                { match: "SOCKET", delayMs: 400 }
+            ].map(step => ({ ...step, times: 10 }))
+        })
+    });
+
+    api = await startApp({
+        ANALYSIS_PROVIDER: "gemini",
+        GEMINI_BASE_URL: `${await listen(mock)}/v1beta`,
+        GEMINI_API_KEY: "",
+        GOOGLE_API_KEY: "",
+        CACHE_ENABLED: "false"
+    });
+});
+
+after(async () => {
+    await api.close();
+    mock.closeAllConnections();
+    mock.close();
+});
+
+const waitFor = async (condition) => {
+    while (!condition()) await new Promise(resolve => setTimeout(resolve, 20));
+};
+
+// Raw HTTP/1.1 on one connection, so a second request can follow the first on it
+function rawConnection(port) {
+    const socket = net.connect(port, "127.0.0.1");
+    let received = "";
+    socket.setEncoding("utf8");
+    socket.on("data", chunk => { received += chunk; });
+    socket.on("error", () => { });
+
+    return {
+        send: (method, url, body) => socket.write(
+            `${method} ${url} HTTP/1.1\r\nHost: test\r\n` +
+            (body ? `Content-Type: application/json\r\nContent-Length: ${Buffer.byteLength(body)}\r\n` : "") +
+            `\r\n${body || ""}`
+        ),
+        closed: once(socket, "close").then(() => received.split(/(?=HTTP\/1\.1 )/).filter(Boolean).map(raw => {
+            const [head, body] = raw.split("\r\n\r\n");
+            return { status: Number(head.split(" ")[1]), head, body: JSON.parse(body) };
+        }))
+    };
+}
+
+test("drains in-flight work, refuses new work, and cuts off what outlives the deadline", async () => {
+    const { port } = api.server.address();
+
+    // A session socket with one segment waiting on the model
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/ws/session`);
+    const messages = [];
+    ws.on("message", raw => messages.push(JSON.parse(raw.toString())));
+    await once(ws, "open");
+    ws.send(JSON.stringify({ type: "open" }));
+    await waitFor(() => messages.some(m => m.type === "opened"));
+    ws.send(JSON.stringify({ type: "segment", segment_id: 1, text: "SOCKET segment in flight", is_final: true }));
+    const socketClosed = once(ws, "close");
+
+    // One request that finishes inside the deadline, one that does not
+    const quick = rawConnection(port);
+    quick.send("POST", "/api/process_text", JSON.stringify({ text: "QUICK request in flight" }));
+    const slow = client(api.baseUrl)("POST", "/api/process_text", { body: { text: "SLOW request in flight" } }).then(
+        res => res,
+        error => error
+    );
+
+    await waitFor(() => mock.requests.length === 3);
+    const stopped = api.shutdown(api.server, { timeoutMs: 1500 });
+
+    // New work is refused: readiness on the open connection, a new socket, a new segment
+    quick.send("GET", "/api/health/ready");
+    ws.send(JSON.stringify({ type: "segment", segment_id: 2, text: "too late", is_final: true }));
+
+    const [answered, readiness] = await quick.closed;
+    assert.equal(answered.status, 200);
+    assert.equal(answered.body.success, true);
+    assert.equal(readiness.status, 503);
+    assert.equal(readiness.body.status, "unhealthy");
+    assert.equal(readiness.body.checks.shutting_down, true);
+    assert.match(readiness.head, /connection: close/i);
+
+    await assert.rejects(fetch(`${api.baseUrl}/api/health/live`));
+
+    const [code] = await socketClosed;
+    assert.equal(code, 1001);
+    const refused = messages.find(m => m.type === "error");
+    assert.equal(refused.error.statusCode, 503);
+    assert.equal(messages.find(m => m.type === "analysis")?.segment_id, 1);
+
+    assert.equal(await stopped, false);
+    assert.ok((await slow) instanceof Error, "the request past the deadline is cut off");
+
+    // The queued segment reached disk before the process would exit
+    const sessionId = messages.find(m => m.type === "opened").session_id;
+    const stored = JSON.parse(fs.readFileSync(path.join(process.env.SESSIONS_DIR, `${sessionId}.json`), "utf8"));
+    assert.equal(stored.segments[0].analysis.metadata.provider, "gemini");
+});
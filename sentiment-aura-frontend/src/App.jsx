@@ -21,28 +21,76 @@ import TranscriptDisplay from "./components/TranscriptDisplay";
 import KeywordsDisplay from "./components/KeywordsDisplay";
 import AuraCanvas from "./components/AuraCanvas";
 import createDeepgramRealtime from "./services/deepgramRealtime";
+import createBackendSession from "./services/backendSession";
 import axios from "axios";
 import { auraForSentiment } from "./utils/auraForSentiment";
 import "./index.css";
 
 // ========== CONFIGURATION ==========
 const CONFIG = {
-  DEEPGRAM_TOKEN_ENV: "VITE_DEEPGRAM_TOKEN",
+  // "token": backend mints short-lived tokens; "relay": audio goes through the backend
+  DEEPGRAM_MODE: import.meta.env.VITE_DEEPGRAM_MODE || "token",
   BACKEND_URL: import.meta.env.VITE_BACKEND_URL || "http://localhost:3001",
   BACKEND_TIMEOUT: 20000,
+  USE_SESSION_SOCKET: import.meta.env.VITE_USE_SESSION_SOCKET !== "false",
   SENTIMENT_EASING: 0.08,
+  // Where the aura starts, on first load and for every new session
+  INITIAL_SENTIMENT: 0,
   ANALYZING_DURATION: 1800,
+  SESSION_STORAGE_KEY: "sentiment-aura-session",
+  // Speech language for Deepgram, e.g. "en-US", "es", "fr", "de", "hi" or "multi"
+  LANGUAGE: import.meta.env.VITE_LANGUAGE || "en-US",
+  // Languages the backend analyzes natively; others are left to its detection
+  ANALYSIS_LANGUAGES: ["en", "es", "fr", "de", "hi"],
 };
 
+// "es-MX" → "es"; undefined when the backend should detect the language itself
+const ANALYSIS_LANGUAGE = (() => {
+  const base = CONFIG.LANGUAGE.toLowerCase().split("-")[0];
+  return CONFIG.ANALYSIS_LANGUAGES.includes(base) ? base : undefined;
+})();
+
+// ========== SESSION PERSISTENCE ==========
+// localStorage can throw in private mode; persistence is best-effort
+function readStoredSessionId() {
+  try {
+    return localStorage.getItem(CONFIG.SESSION_STORAGE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+function writeStoredSessionId(id) {
+  try {
+    if (id) localStorage.setItem(CONFIG.SESSION_STORAGE_KEY, id);
+    else localStorage.removeItem(CONFIG.SESSION_STORAGE_KEY);
+  } catch {
+    // ignore
+  }
+}
+
 // ========== TOKEN PROVIDER ==========
+// The Deepgram key stays on the backend; the browser only ever sees a
+// short-lived token or talks to the backend relay.
 const getDeepgramToken = async () => {
-  const token = import.meta.env[CONFIG.DEEPGRAM_TOKEN_ENV];
-  if (!token) {
+  if (CONFIG.DEEPGRAM_MODE === "relay") {
+    return { url: `${CONFIG.BACKEND_URL.replace(/^http/, "ws")}/ws/deepgram` };
+  }
+
+  try {
+    const response = await axios.post(
+      `${CONFIG.BACKEND_URL}/api/deepgram/token`,
+      {},
+      { timeout: CONFIG.BACKEND_TIMEOUT }
+    );
+    const { access_token, scheme } = response.data.data;
+    return { token: access_token, scheme };
+  } catch (err) {
     throw new Error(
-      "Deepgram token missing. Set VITE_DEEPGRAM_TOKEN in .env file."
+      err.response?.data?.error?.message ||
+        "Could not get a Deepgram token from the backend."
     );
   }
-  return token;
 };
 
 // ========== MAIN COMPONENT ==========
@@ -52,15 +100,20 @@ export default function App() {
   const [isConnecting, setIsConnecting] = useState(false);
   const [transcript, setTranscript] = useState([]);
   const [partial, setPartial] = useState("");
-  const [sentiment, setSentiment] = useState(0);
-  const [visualSentiment, setVisualSentiment] = useState(0);
+  const [sentiment, setSentiment] = useState(CONFIG.INITIAL_SENTIMENT);
+  const [conversationSentiment, setConversationSentiment] = useState(null);
+  const [visualSentiment, setVisualSentiment] = useState(CONFIG.INITIAL_SENTIMENT);
   const [keywords, setKeywords] = useState([]);
+  const [aspects, setAspects] = useState([]);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [pulse, setPulse] = useState(0);
   const [error, setError] = useState(null);
 
   // ===== REFS =====
   const deepgramServiceRef = useRef(null);
+  const backendSessionRef = useRef(null);
+  const segmentTextsRef = useRef(new Map());
+  const sessionIdRef = useRef(readStoredSessionId());
   const analyzeTimeoutRef = useRef(null);
   const errorTimeoutRef = useRef(null);
   const lastTranscriptRef = useRef("");
@@ -76,84 +129,195 @@ export default function App() {
     }
   }, []);
 
-  // ===== BACKEND API CALL =====
-  const callBackendAPI = useCallback(async (text) => {
-    if (!text || !text.trim() || text === lastTranscriptRef.current) return;
+  // ===== FALLBACK KEYWORDS =====
+  const applyFallbackKeywords = useCallback((text, label) => {
+    const words = text
+      .toLowerCase()
+      .replace(/[^\w\s]/g, " ")
+      .split(/\s+/)
+      .filter((w) => w.length > 3);
+    const fallbackKeywords = [...new Set(words)].slice(0, 5);
+    console.log(`[App] 🏷️ Setting ${label} keywords:`, fallbackKeywords);
+    setKeywords(fallbackKeywords);
+  }, []);
 
-    lastTranscriptRef.current = text;
-    console.log("[App] 📤 Calling backend API");
-    console.log("[App] Text:", text);
+  // ===== APPLY ANALYSIS RESULT =====
+  // Shared by the HTTP path and the session socket path. Both carry the
+  // AnalysisResponse envelope from the backend's /api/openapi.json.
+  const applyAnalysis = useCallback(
+    (payload, text) => {
+      const { sentiment, keywords, aspects, conversation_sentiment } = payload.data;
 
-    try {
-      const response = await axios.post(
-        `${CONFIG.BACKEND_URL}/process_text`,
-        { text: text.trim() },
-        { timeout: CONFIG.BACKEND_TIMEOUT }
-      );
+      console.log("[App] ✓ Extracted sentiment:", sentiment);
+      console.log("[App] ✓ Extracted keywords:", keywords);
 
-      console.log("[App] 📥 Full backend response:");
-      console.log(JSON.stringify(response.data, null, 2));
-
-      // Extract from nested response structure
-      let extractedSentiment = 0.5;
-      let extractedKeywords = [];
-
-      if (response.data.success === true && response.data.data) {
-        // New format: { success: true, data: { sentiment, keywords, ... } }
-        console.log("[App] Using success/data format");
-        extractedSentiment = response.data.data.sentiment || 0.5;
-        extractedKeywords = response.data.data.keywords || [];
-      } else if (response.data.sentiment !== undefined) {
-        // Old format: { sentiment, keywords, ... }
-        console.log("[App] Using direct format");
-        extractedSentiment = response.data.sentiment;
-        extractedKeywords = response.data.keywords || [];
-      }
+      setSentiment(Math.max(0, Math.min(1, sentiment)));
 
-      console.log("[App] ✓ Extracted sentiment:", extractedSentiment);
-      console.log("[App] ✓ Extracted keywords:", extractedKeywords);
+      // Per-keyword sentiment for the chip colours
+      setAspects(aspects);
 
-      // Set sentiment
-      if (typeof extractedSentiment === "number") {
-        const normalized = Math.max(0, Math.min(1, extractedSentiment));
-        setSentiment(normalized);
+      // Whole-exchange mood, present when the backend analyzed with context
+      if (conversation_sentiment !== undefined) {
+        setConversationSentiment(conversation_sentiment);
       }
 
       // Set keywords
-      if (Array.isArray(extractedKeywords) && extractedKeywords.length > 0) {
-        console.log("[App] 🏷️ Setting keywords:", extractedKeywords);
-        setKeywords(extractedKeywords);
+      if (keywords.length > 0) {
+        console.log("[App] 🏷️ Setting keywords:", keywords);
+        setKeywords(keywords);
       } else {
         console.warn("[App] No keywords from backend, using fallback");
-        const words = text
-          .toLowerCase()
-          .replace(/[^\w\s]/g, " ")
-          .split(/\s+/)
-          .filter((w) => w.length > 3);
-        const fallbackKeywords = [...new Set(words)].slice(0, 5);
-        console.log("[App] 🏷️ Setting fallback keywords:", fallbackKeywords);
-        setKeywords(fallbackKeywords);
+        applyFallbackKeywords(text, "fallback");
       }
 
       setPulse(Date.now());
+    },
+    [applyFallbackKeywords]
+  );
+
+  // ===== STORED SESSION =====
+  const setSessionId = useCallback((id) => {
+    sessionIdRef.current = id || null;
+    writeStoredSessionId(id);
+  }, []);
+
+  // Create a stored session before recording so HTTP analyses are saved too
+  const ensureSession = useCallback(async () => {
+    if (sessionIdRef.current) return sessionIdRef.current;
+
+    try {
+      const response = await axios.post(
+        `${CONFIG.BACKEND_URL}/api/sessions`,
+        {},
+        { timeout: CONFIG.BACKEND_TIMEOUT }
+      );
+      setSessionId(response.data.data.session.id);
+      console.log("[App] ✓ Created session:", sessionIdRef.current);
     } catch (err) {
-      console.error("[App] ❌ Backend error:", err.message);
-
-      // Fallback
-      const words = text
-        .toLowerCase()
-        .replace(/[^\w\s]/g, " ")
-        .split(/\s+/)
-        .filter((w) => w.length > 3);
-      const fallbackKeywords = [...new Set(words)].slice(0, 5);
-
-      console.log("[App] 🏷️ Using error fallback keywords:", fallbackKeywords);
-      setKeywords(fallbackKeywords);
-      setSentiment(0.5);
-      setPulse(Date.now());
+      console.warn("[App] Could not create session, not persisting:", err.message);
+    }
+
+    return sessionIdRef.current;
+  }, [setSessionId]);
+
+  const handleNewSession = useCallback(() => {
+    console.log("[App] Starting a new session");
+    setSessionId(null);
+    lastTranscriptRef.current = "";
+    setTranscript([]);
+    setPartial("");
+    setKeywords([]);
+    setAspects([]);
+    setSentiment(CONFIG.INITIAL_SENTIMENT);
+    setConversationSentiment(null);
+  }, [setSessionId]);
+
+  // ===== BACKEND API CALL =====
+  const callBackendAPI = useCallback(
+    async (text) => {
+      if (!text || !text.trim() || text === lastTranscriptRef.current) return;
+
+      lastTranscriptRef.current = text;
+      console.log("[App] 📤 Calling backend API");
+      console.log("[App] Text:", text);
+
+      try {
+        const response = await axios.post(
+          `${CONFIG.BACKEND_URL}/process_text`,
+          {
+            text: text.trim(),
+            language: ANALYSIS_LANGUAGE,
+            session_id: sessionIdRef.current || undefined,
+          },
+          { timeout: CONFIG.BACKEND_TIMEOUT }
+        );
+
+        console.log("[App] 📥 Full backend response:");
+        console.log(JSON.stringify(response.data, null, 2));
+
+        applyAnalysis(response.data, text);
+      } catch (err) {
+        console.error("[App] ❌ Backend error:", err.message);
+
+        // Fallback
+        applyFallbackKeywords(text, "error fallback");
+        setSentiment(0.5);
+        setPulse(Date.now());
+      }
+    },
+    [applyAnalysis, applyFallbackKeywords]
+  );
+
+  // ===== BACKEND SESSION SOCKET =====
+  const openBackendSession = useCallback(async () => {
+    if (!CONFIG.USE_SESSION_SOCKET) return;
+
+    const session = createBackendSession({
+      backendUrl: CONFIG.BACKEND_URL,
+      language: ANALYSIS_LANGUAGE,
+      debug: true,
+    });
+
+    session.onAnalysis((message) => {
+      const text = segmentTextsRef.current.get(message.segment_id) || "";
+      segmentTextsRef.current.delete(message.segment_id);
+      console.log("[App] 📥 Session analysis:", message.segment_id);
+      applyAnalysis(message, text);
+    });
+
+    session.onError((message) => {
+      const text = segmentTextsRef.current.get(message.segment_id);
+      console.error("[App] ❌ Session error:", message.error?.message);
+
+      // Retry a failed segment over HTTP, which has its own fallback
+      if (text) {
+        segmentTextsRef.current.delete(message.segment_id);
+        lastTranscriptRef.current = "";
+        callBackendAPI(text);
+      }
+    });
+
+    try {
+      setSessionId(await session.open({ sessionId: sessionIdRef.current }));
+      backendSessionRef.current = session;
+    } catch (err) {
+      // Not fatal: final transcripts go over HTTP instead
+      console.warn("[App] Session socket unavailable, using HTTP:", err.message);
+      session.close();
+    }
+  }, [applyAnalysis, callBackendAPI, setSessionId]);
+
+  const closeBackendSession = useCallback(() => {
+    if (backendSessionRef.current) {
+      backendSessionRef.current.close();
+      backendSessionRef.current = null;
     }
+    segmentTextsRef.current.clear();
   }, []);
 
+  const analyzeTranscript = useCallback(
+    (text, is_final) => {
+      const session = backendSessionRef.current;
+
+      if (!session || !session.isOpen()) {
+        if (is_final) callBackendAPI(text);
+        return;
+      }
+
+      if (!is_final) {
+        session.sendSegment({ text, is_final: false });
+        return;
+      }
+
+      if (!text.trim() || text === lastTranscriptRef.current) return;
+      lastTranscriptRef.current = text;
+
+      const segmentId = session.sendSegment({ text: text.trim(), is_final: true });
+      segmentTextsRef.current.set(segmentId, text);
+    },
+    [callBackendAPI]
+  );
+
   // ===== TRANSCRIPT HANDLING =====
   const handleTranscript = useCallback(
     ({ text, is_final }) => {
@@ -165,12 +329,13 @@ export default function App() {
         setTranscript((prev) => [...prev, text]);
         setPartial("");
         console.log("[App] ✓ Final transcript added");
-        callBackendAPI(text);
+        analyzeTranscript(text, true);
       } else {
         setPartial(text);
+        analyzeTranscript(text, false);
       }
     },
-    [callBackendAPI]
+    [analyzeTranscript]
   );
 
   const handleError = useCallback((err) => {
@@ -194,6 +359,7 @@ export default function App() {
     try {
       const service = createDeepgramRealtime({
         getToken: getDeepgramToken,
+        language: CONFIG.LANGUAGE,
         debug: true,
       });
 
@@ -202,6 +368,10 @@ export default function App() {
 
       deepgramServiceRef.current = service;
 
+      console.log("[App] Opening backend session...");
+      await ensureSession();
+      await openBackendSession();
+
       console.log("[App] Starting Deepgram service...");
       await service.start();
 
@@ -226,11 +396,12 @@ export default function App() {
         errorMessage = err.message;
       }
 
+      closeBackendSession();
       setError(errorMessage);
       setIsRecording(false);
       setIsConnecting(false);
     }
-  }, [handleTranscript, handleError, clearError]);
+  }, [handleTranscript, handleError, clearError, ensureSession, openBackendSession, closeBackendSession]);
 
   const handleStopRecording = useCallback(async () => {
     console.log("[App] ========== STOP RECORDING ==========");
@@ -243,6 +414,7 @@ export default function App() {
         console.log("[App] ✓ Deepgram stopped");
       }
 
+      closeBackendSession();
       setIsRecording(false);
       console.log("[App] ✅ Recording stopped successfully");
     } catch (err) {
@@ -250,9 +422,48 @@ export default function App() {
       setError(err?.message || "Failed to stop");
       setIsRecording(false);
     }
-  }, []);
+  }, [closeBackendSession]);
 
   // ===== EFFECTS =====
+  // Restore the stored session's transcript and last analysis on load
+  useEffect(() => {
+    const sessionId = sessionIdRef.current;
+    if (!sessionId) return;
+
+    let cancelled = false;
+
+    axios
+      .get(`${CONFIG.BACKEND_URL}/api/sessions/${encodeURIComponent(sessionId)}`, {
+        timeout: CONFIG.BACKEND_TIMEOUT,
+      })
+      .then((response) => {
+        if (cancelled) return;
+
+        const { segments } = response.data.data.session;
+        const lastAnalysis = segments.findLast((s) => s.analysis)?.analysis;
+
+        console.log(`[App] ✓ Restored session ${sessionId} (${segments.length} segments)`);
+        setTranscript(segments.map((s) => s.text));
+        if (lastAnalysis) {
+          setSentiment(Math.max(0, Math.min(1, lastAnalysis.data.sentiment)));
+          setKeywords(lastAnalysis.data.keywords || []);
+          setAspects(lastAnalysis.data.aspects || []);
+          setConversationSentiment(lastAnalysis.data.conversation_sentiment ?? null);
+        }
+      })
+      .catch((err) => {
+        if (cancelled) return;
+
+        // The session was deleted server-side; start fresh next time
+        if (err.response?.status === 404) setSessionId(null);
+        console.warn("[App] Could not restore session:", err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [setSessionId]);
+
   useEffect(() => {
     let rafId = null;
     let lastTime = performance.now();
@@ -302,6 +513,10 @@ export default function App() {
       if (deepgramServiceRef.current) {
         deepgramServiceRef.current.stop().catch(console.error);
       }
+
+      if (backendSessionRef.current) {
+        backendSessionRef.current.close();
+      }
     };
   }, []);
 
@@ -327,7 +542,7 @@ export default function App() {
             </div>
 
             <div className="panel" style={{ marginTop: 12 }}>
-              <KeywordsDisplay keywords={keywords} aura={aura} />
+              <KeywordsDisplay keywords={keywords} aspects={aspects} aura={aura} />
             </div>
           </div>
 
@@ -343,6 +558,23 @@ export default function App() {
                 onStop={handleStopRecording}
               />
 
+              <button
+                onClick={handleNewSession}
+                disabled={isRecording || isConnecting}
+                style={{
+                  padding: "6px 10px",
+                  background: "rgba(255,255,255,0.08)",
+                  border: "1px solid rgba(255,255,255,0.2)",
+                  borderRadius: 4,
+                  color: "#fff",
+                  fontSize: 12,
+                  cursor: isRecording || isConnecting ? "not-allowed" : "pointer",
+                  opacity: isRecording || isConnecting ? 0.5 : 1,
+                }}
+              >
+                New session
+              </button>
+
               {isConnecting && (
                 <div
                   style={{
@@ -368,7 +600,15 @@ export default function App() {
                 }}
               >
                 <div>
-                  Sentiment: <strong>{(sentiment * 100).toFixed(0)}%</strong>
+                  <div>
+                    Sentiment: <strong>{(sentiment * 100).toFixed(0)}%</strong>
+                  </div>
+                  {conversationSentiment !== null && (
+                    <div style={{ opacity: 0.75 }}>
+                      Conversation:{" "}
+                      <strong>{(conversationSentiment * 100).toFixed(0)}%</strong>
+                    </div>
+                  )}
                 </div>
                 {isAnalyzing && (
                   <div style={{ marginLeft: "auto", display: "flex", gap: 8 }}>
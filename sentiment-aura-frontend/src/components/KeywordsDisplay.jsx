@@ -4,6 +4,7 @@
  *
  * Features:
  * - Animated keyword tags that fade in staggered
+ * - Chips tinted by their own aspect sentiment (red → green)
  * - Graceful handling of keyword updates
  * - Empty/loading states
  * - Accessibility support
@@ -15,7 +16,29 @@ import React, { useEffect, useState, useRef } from "react";
 
 const MAX_KEYWORDS = 20; // Limit total keywords displayed
 
-export default function KeywordsDisplay({ keywords = [], aura }) {
+// Hue runs from red (0, negative) to green (130, positive); no sentiment stays neutral glass
+function chipColors(sentiment) {
+  if (typeof sentiment !== "number") {
+    return {
+      background: "rgba(255,255,255,0.12)",
+      border: "1px solid rgba(255,255,255,0.1)",
+    };
+  }
+
+  const hue = Math.round(Math.max(0, Math.min(1, sentiment)) * 130);
+  return {
+    background: `hsla(${hue}, 70%, 45%, 0.35)`,
+    border: `1px solid hsla(${hue}, 70%, 60%, 0.5)`,
+  };
+}
+
+function aspectTitle(k) {
+  if (typeof k.sentiment !== "number") return k.text;
+  const quote = k.span ? ` — "${k.span}"` : "";
+  return `${k.text}: ${k.label} (${Math.round(k.sentiment * 100)}%)${quote}`;
+}
+
+export default function KeywordsDisplay({ keywords = [], aspects = [], aura }) {
   const [displayedKeywords, setDisplayedKeywords] = useState([]);
   const keywordCounterRef = useRef(0);
 
@@ -27,6 +50,15 @@ export default function KeywordsDisplay({ keywords = [], aura }) {
       return; // Don't clear, just don't add
     }
 
+    // Latest per-aspect sentiment, keyed by lowercased term; partial provider
+    // output can carry aspects without a term, which are skipped
+    const aspectByTerm = new Map(
+      (aspects || []).filter((a) => typeof a?.term === "string").map((a) => [
+        a.term.toLowerCase(),
+        { sentiment: a.sentiment, label: a.sentiment_label, span: a.span?.text },
+      ])
+    );
+
     // Get current keyword texts
     const currentTexts = displayedKeywords.map((k) => k.text.toLowerCase());
 
@@ -35,23 +67,27 @@ export default function KeywordsDisplay({ keywords = [], aura }) {
       (keyword) => !currentTexts.includes(keyword.toLowerCase())
     );
 
+    // Create keyword objects with unique IDs
+    const newKeywordObjects = newKeywords.map((keyword) => ({
+      text: keyword,
+      id: `keyword-${keywordCounterRef.current++}-${Date.now()}`,
+      timestamp: Date.now(),
+      ...aspectByTerm.get(keyword.toLowerCase()),
+    }));
+
     if (newKeywords.length > 0) {
       console.log("[KeywordsDisplay] Adding new keywords:", newKeywords);
+    }
 
-      // Create keyword objects with unique IDs
-      const newKeywordObjects = newKeywords.map((keyword) => ({
-        text: keyword,
-        id: `keyword-${keywordCounterRef.current++}-${Date.now()}`,
-        timestamp: Date.now(),
-      }));
-
-      // Add to beginning (left side) and limit total
-      setDisplayedKeywords((prev) => {
-        const updated = [...newKeywordObjects, ...prev];
-        return updated.slice(0, MAX_KEYWORDS);
+    // Add to beginning (left side), recolour chips mentioned again, limit total
+    setDisplayedKeywords((prev) => {
+      const refreshed = prev.map((k) => {
+        const aspect = aspectByTerm.get(k.text.toLowerCase());
+        return aspect ? { ...k, ...aspect } : k;
       });
-    }
-  }, [keywords]);
+      return [...newKeywordObjects, ...refreshed].slice(0, MAX_KEYWORDS);
+    });
+  }, [keywords, aspects]);
 
   // Clear all keywords function (optional)
   const clearKeywords = () => {
@@ -125,8 +161,9 @@ export default function KeywordsDisplay({ keywords = [], aura }) {
                 key={k.id}
                 className="keyword-tag"
                 role="listitem"
+                title={aspectTitle(k)}
                 style={{
-                  background: "rgba(255,255,255,0.12)",
+                  ...chipColors(k.sentiment),
                   backdropFilter: "blur(10px)",
                   color: "#fff",
                   padding: "8px 16px",
@@ -134,7 +171,6 @@ export default function KeywordsDisplay({ keywords = [], aura }) {
                   fontSize: 14,
                   fontWeight: 500,
                   boxShadow: "0 4px 15px rgba(0,0,0,0.2)",
-                  border: "1px solid rgba(255,255,255,0.1)",
                   animation: `slideInLeft 0.5s ease-out both`,
                   maxWidth: 200,
                   overflow: "hidden",
@@ -192,7 +228,7 @@ export default function KeywordsDisplay({ keywords = [], aura }) {
         .keyword-tag:hover {
           transform: translateY(-2px) scale(1.05);
           box-shadow: 0 6px 20px rgba(0,0,0,0.3);
-          background: rgba(255,255,255,0.18);
+          filter: brightness(1.15);
         }
       `}</style>
     </div>
@@ -0,0 +1,160 @@
+// src/services/backendSession.js
+/**
+ * Backend Session Channel
+ *
+ * Keeps one WebSocket open to the backend's /ws/session endpoint for the
+ * length of a recording, instead of one HTTP POST per final transcript line.
+ *
+ * Features:
+ * - Segment IDs assigned client-side, echoed back with each analysis
+ * - Interim text forwarded so the backend knows the live partial
+ * - Results delivered in segment order by the backend
+ * - Resumes a stored session when opened with its session ID
+ * - Promise-based open() with timeout
+ */
+
+// ========== CONFIGURATION ==========
+const CONFIG = {
+    PATH: "/ws/session",
+    CONNECTION_TIMEOUT: 5000,
+};
+
+// http(s)://host → ws(s)://host/ws/session
+function toSocketUrl(backendUrl) {
+    return backendUrl.replace(/^http/, "ws").replace(/\/+$/, "") + CONFIG.PATH;
+}
+
+// ========== MAIN SERVICE ==========
+// language: analysis language code, or omitted to let the backend detect it
+export default function createBackendSession({ backendUrl, provider, language, debug = false } = {}) {
+    if (!backendUrl) throw new Error("backendUrl is required");
+
+    // ===== STATE =====
+    let ws = null;
+    let sessionId = null;
+    let nextSegmentId = 0;
+    let onAnalysisCb = () => { };
+    let onErrorCb = () => { };
+
+    // ===== LOGGING =====
+    const log = (...args) => debug && console.log("[BackendSession]", ...args);
+
+    // ===== PUBLIC API =====
+    // Pass a stored sessionId to resume it; otherwise the backend creates one
+    async function open({ sessionId: resumeId } = {}) {
+        const url = toSocketUrl(backendUrl);
+        log("Connecting to", url);
+
+        ws = new WebSocket(url);
+
+        await new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                reject(new Error("Backend session connection timeout"));
+            }, CONFIG.CONNECTION_TIMEOUT);
+
+            ws.onopen = () => {
+                ws.send(JSON.stringify({ type: "open", provider, language, session_id: resumeId || undefined }));
+            };
+
+            ws.onmessage = (evt) => {
+                const message = JSON.parse(evt.data);
+
+                if (message.type === "opened") {
+                    clearTimeout(timeout);
+                    sessionId = message.session_id;
+                    // A resumed session continues after the segments it already stores
+                    nextSegmentId = message.segment_count || 0;
+                    log(`✓ Session ${message.resumed ? "resumed" : "opened"}:`, sessionId);
+                    resolve();
+                } else if (message.type === "error") {
+                    clearTimeout(timeout);
+                    reject(new Error(message.error?.message || "Failed to open session"));
+                }
+            };
+
+            ws.onerror = () => {
+                clearTimeout(timeout);
+                reject(new Error("Backend session connection failed"));
+            };
+        });
+
+        ws.onmessage = (evt) => {
+            let message;
+            try {
+                message = JSON.parse(evt.data);
+            } catch (e) {
+                log("Parse error:", e);
+                return;
+            }
+
+            if (message.type === "analysis") {
+                log("Analysis for segment", message.segment_id);
+                onAnalysisCb(message);
+            } else if (message.type === "error") {
+                log("Error:", message.error);
+                onErrorCb(message);
+            }
+        };
+
+        ws.onerror = (e) => {
+            log("WebSocket error:", e);
+            onErrorCb({ error: { message: "Backend session connection error" } });
+        };
+
+        ws.onclose = (e) => {
+            log("WebSocket closed:", e.code, e.reason);
+            sessionId = null;
+        };
+
+        return sessionId;
+    }
+
+    function isOpen() {
+        return !!sessionId && ws?.readyState === WebSocket.OPEN;
+    }
+
+    // Returns the segment_id used, so callers can match the analysis later
+    function sendSegment({ text, is_final }) {
+        if (!isOpen()) return null;
+
+        const segmentId = nextSegmentId;
+        if (is_final) nextSegmentId++;
+
+        ws.send(JSON.stringify({ type: "segment", segment_id: segmentId, text, is_final }));
+        return segmentId;
+    }
+
+    function close() {
+        if (ws) {
+            if (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING) {
+                ws.close();
+            }
+            ws = null;
+            sessionId = null;
+            log("✓ Session closed");
+        }
+    }
+
+    function onAnalysis(fn) {
+        if (typeof fn !== "function") {
+            throw new TypeError("onAnalysis must be a function");
+        }
+        onAnalysisCb = fn;
+    }
+
+    function onError(fn) {
+        if (typeof fn !== "function") {
+            throw new TypeError("onError must be a function");
+        }
+        onErrorCb = fn;
+    }
+
+    return {
+        open,
+        isOpen,
+        sendSegment,
+        close,
+        onAnalysis,
+        onError,
+    };
+}
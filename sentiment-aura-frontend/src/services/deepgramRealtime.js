@@ -13,6 +13,11 @@
  * - Keepalive/heartbeat mechanism
  * - Comprehensive error handling
  * - Audio buffering during disconnection
+ *
+ * getToken() may resolve to:
+ * - a string: a Deepgram API key (sent with the "token" scheme)
+ * - { token, scheme: "bearer" }: a short-lived token minted by the backend
+ * - { url }: a backend relay socket that adds credentials server-side
  */
 
 // ========== CONFIGURATION ==========
@@ -39,8 +44,22 @@ function float32ToInt16(buffer) {
     return output;
 }
 
+function normalizeCredentials(credentials) {
+    if (typeof credentials === "string") {
+        return { token: credentials, scheme: "token", url: CONFIG.DEEPGRAM_URL };
+    }
+    if (credentials?.url) {
+        return { token: null, scheme: null, url: credentials.url };
+    }
+    if (credentials?.token) {
+        return { token: credentials.token, scheme: credentials.scheme || "bearer", url: CONFIG.DEEPGRAM_URL };
+    }
+    throw new Error("getToken must return a key, { token, scheme } or { url }");
+}
+
 // ========== MAIN SERVICE ==========
-export default function createDeepgramRealtime({ getToken, debug = false } = {}) {
+// language: any Deepgram language code, e.g. "es", "fr-FR", "hi" or "multi"
+export default function createDeepgramRealtime({ getToken, language = CONFIG.LANGUAGE, debug = false } = {}) {
     if (!getToken) throw new Error("getToken is required");
 
     // ===== STATE =====
@@ -71,24 +90,26 @@ export default function createDeepgramRealtime({ getToken, debug = false } = {})
             });
             log("✓ Microphone access granted");
 
-            // 2. Get Deepgram token
+            // 2. Get Deepgram credentials (key, short-lived token or relay URL)
             log("Getting Deepgram token...");
-            const token = await getToken();
-            log("✓ Token received");
+            const credentials = normalizeCredentials(await getToken());
+            log("✓ Token received", credentials.url === CONFIG.DEEPGRAM_URL ? `(${credentials.scheme})` : "(relay)");
 
             // 3. Build WebSocket URL
             const params = new URLSearchParams({
                 model: CONFIG.MODEL,
-                language: CONFIG.LANGUAGE,
+                language,
                 encoding: CONFIG.ENCODING,
                 sample_rate: CONFIG.SAMPLE_RATE
             });
-            const url = `${CONFIG.DEEPGRAM_URL}?${params.toString()}`;
+            const url = `${credentials.url}?${params.toString()}`;
             log("WebSocket URL:", url);
 
             // 4. Connect to Deepgram
             log("Connecting to Deepgram WebSocket...");
-            ws = new WebSocket(url, ["token", token]);
+            ws = credentials.token
+                ? new WebSocket(url, [credentials.scheme, credentials.token])
+                : new WebSocket(url);
             ws.binaryType = "arraybuffer";
 
             // 5. Setup WebSocket handlers